@@ -3,46 +3,207 @@ import fs from 'fs';
 import path from 'path';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
-import {extractComponentsFromProject} from '../src/extractor.js';
-import {updateFilesWithDocStrings} from '../src/utils/file-updater.js';
-import {setupOpenAI} from '../src/utils/openai-utils.js';
-import {generateDocStrings} from '../src/docstring-generator.js';
-import {initLogger} from '../src/utils/logger.js';
-// Command line arguments
-const argv = yargs(hideBin(process.argv))
-  .usage('Usage: $0 [options] <project-directory>')
+import {extractComponentsFromProject, extractComponentsFromFiles} from '../src/extractor.js';
+import {documentProject} from '../src/document-project.js';
+import {initCache, getCacheDir, ensureCacheDirectory, readCacheEntries, getCacheStats, parseDuration, pruneCache, clearCache, exportCache, importCache} from '../src/utils/cache.js';
+import {setupProvider, PROVIDER_NAMES} from '../src/providers/index.js';
+import {generateDocStrings, estimateDocStrings} from '../src/docstring-generator.js';
+import {LOG_LEVELS, LOG_FORMATS, initLogger, logError, logWarn, logInfo, startProgress, updateProgress, stopProgress} from '../src/utils/logger.js';
+import {checkDocumentation, printCheckReport} from '../src/checker.js';
+import {reviewDocStrings} from '../src/interactive-review.js';
+import {generateReferenceSite} from '../src/site-generator.js';
+import {buildManifest, writeManifest} from '../src/manifest.js';
+import {generateStories} from '../src/story-generator.js';
+import {loadConfig, toCliConfig} from '../src/config.js';
+import {validatePromptTemplates} from '../src/prompt-templates.js';
+import {printValidationReport} from '../src/docstring-validator.js';
+import {getChangedFiles, getStagedFiles, getUnstagedFiles, stageFiles} from '../src/utils/git.js';
+import {getModelPrice, calculateCost, formatCost, printUsageSummary} from '../src/utils/usage.js';
+// Command line arguments, layered over the values from the project's config file
+const buildCli = (config) => yargs(hideBin(process.argv))
+  .config(config)
+  .usage('Usage: $0 [options] <project-directory> [files..]')
+  .command('$0 <project-directory> [files..]', 'Generate JSDoc documentation for the components in a project, or only in the given files')
+  .command('stories <project-directory>', 'Generate Storybook CSF3 stories next to exported components', (yargs) => yargs
+    .option('force', {
+      describe: 'Overwrite existing story files',
+      type: 'boolean',
+      default: false
+    }))
+  .command('cache <action> [project-directory]', 'Inspect and maintain the docstring cache', (yargs) => yargs
+    .positional('action', {
+      describe: 'stats, list, prune (--older-than), clear, export or import (--file)',
+      choices: ['stats', 'list', 'prune', 'clear', 'export', 'import']
+    })
+    .positional('project-directory', {
+      describe: 'Project whose config file sets the cache directory',
+      default: '.'
+    })
+    .option('older-than', {
+      describe: 'Age of the entries prune removes, e.g. 30d, 12h, 2w',
+      type: 'string',
+      default: '30d'
+    })
+    .option('file', {
+      describe: 'JSON file to export the cache to or import it from',
+      type: 'string'
+    }))
   .option('output', {
     alias: 'o',
-    describe: 'Output directory for extracted components',
-    default: 'extracted_components'
+    describe: 'Output directory for a Markdown component reference'
+  })
+  .option('html', {
+    describe: 'Also build a self-contained, searchable index.html into --output',
+    type: 'boolean',
+    default: false
+  })
+  .option('format', {
+    alias: 'f',
+    describe: 'Output format of the run; json prints a react-docgen compatible manifest to stdout and implies --dry-run',
+    choices: ['text', 'json'],
+    default: 'text'
+  })
+  .option('manifest', {
+    describe: 'Write a react-docgen compatible JSON manifest of all components to this file'
+  })
+  .option('changed-since', {
+    describe: 'Only document files changed since this git ref, including uncommitted and untracked files',
+    type: 'string'
+  })
+  .option('staged', {
+    describe: 'Only document files staged in git, e.g. from a pre-commit hook',
+    type: 'boolean',
+    default: false
+  })
+  .option('restage', {
+    describe: 'With --staged, stage the files again after documentation is written',
+    type: 'boolean',
+    default: false
+  })
+  .option('src-dir', {
+    describe: 'Directory to scan for components, relative to the project (default: the project directory)',
+    type: 'string'
+  })
+  .option('include', {
+    describe: 'Only document files matching these globs, relative to the project',
+    type: 'array',
+    string: true
+  })
+  .option('exclude', {
+    describe: 'Skip files matching these globs, relative to the project',
+    type: 'array',
+    string: true
+  })
+  .option('cache-dir', {
+    describe: 'Directory of the docstring cache (default: .react-doc-gen in the working directory)',
+    type: 'string'
+  })
+  .option('cache', {
+    describe: 'Reuse cached docstrings (use --no-cache to regenerate and refresh them)',
+    type: 'boolean',
+    default: true
   })
   .option('verbose', {
     alias: 'v',
-    describe: 'Enable verbose logging',
+    describe: 'Enable verbose logging (--log-level debug)',
+    type: 'boolean',
+    default: false
+  })
+  .option('quiet', {
+    alias: 'q',
+    describe: 'Only log warnings and errors (--log-level warn)',
     type: 'boolean',
     default: false
   })
+  .option('log-level', {
+    describe: 'Most detailed level to log, overrides --verbose and --quiet',
+    choices: LOG_LEVELS
+  })
+  .option('log-format', {
+    describe: 'Log as text, or as one JSON object per line',
+    choices: LOG_FORMATS,
+    default: 'text'
+  })
+  .option('provider', {
+    alias: 'p',
+    describe: 'LLM provider used to generate documentation',
+    choices: PROVIDER_NAMES,
+    default: 'openai'
+  })
+  .option('base-url', {
+    describe: 'Base URL of the provider API (required for openai-compatible, e.g. http://localhost:11434/v1)'
+  })
   .option('openai-key', {
-    alias: 'k',
-    describe: 'OpenAI API Key (or set OPENAI_API_KEY environment variable)'
+    alias: ['k', 'api-key'],
+    describe: 'Provider API Key (or set OPENAI_API_KEY / ANTHROPIC_API_KEY environment variable)'
   })
   .option('openai-model', {
-    alias: 'm',
-    describe: 'OpenAI GPT-3 model ID',
-    default: 'gpt-3.5-turbo'
+    alias: ['m', 'model'],
+    describe: 'Model ID (defaults to gpt-3.5-turbo for OpenAI)'
+  })
+  .option('style-guide', {
+    describe: 'File with documentation conventions appended to the system prompt'
+  })
+  .option('prompt-version', {
+    describe: 'Prompt version folded into the cache key; change it to regenerate cached docs',
+    type: 'string'
+  })
+  .option('validate', {
+    describe: 'Check generated docs against the component\'s props and tags (use --no-validate to disable)',
+    type: 'boolean',
+    default: true
+  })
+  .option('validation-retries', {
+    describe: 'Follow-up requests with the validation errors before falling back to the basic docstring',
+    type: 'number',
+    default: 2
   })
   .option('rate-limit', {
     alias: 'r',
-    describe: 'Maximum number of OpenAI API requests per minute',
+    describe: 'Maximum number of LLM requests per minute, 0 for unlimited',
     type: 'number',
     default: 10
   })
+  .option('tokens-per-minute', {
+    describe: 'Maximum number of prompt and completion tokens per minute, 0 for unlimited',
+    type: 'number',
+    default: 0
+  })
+  .option('max-retries', {
+    describe: 'Retries for rate-limited or failed requests before falling back to the basic docstring',
+    type: 'number',
+    default: 5
+  })
+  .option('estimate', {
+    describe: 'Count the prompt tokens and estimate the cost of a run without calling the LLM',
+    type: 'boolean',
+    default: false
+  })
+  .option('max-tokens', {
+    describe: 'Stop sending requests once this many tokens are used, 0 for no limit',
+    type: 'number',
+    default: 0
+  })
+  .option('max-cost', {
+    describe: 'Stop sending requests once this many US dollars are spent, 0 for no limit',
+    type: 'number',
+    default: 0
+  })
   .option('dry-run', {
     alias: 'd',
     describe: 'Generate docstrings but don\'t write to files',
     type: 'boolean',
     default: false
   })
+  .option('interactive', {
+    alias: 'i',
+    describe: 'Review each generated docstring before it is written',
+    type: 'boolean',
+    default: false
+  })
+  .option('patch', {
+    describe: 'Write the changes to a patch file for `git apply` instead of modifying files'
+  })
   .option('skip-existing', {
     alias: 's',
     describe: 'Skip components with existing comments',
@@ -55,36 +216,134 @@ const argv = yargs(hideBin(process.argv))
     type: 'boolean',
     default: false
   })
+  .option('update-stale', {
+    describe: 'Regenerate only generated docs whose @docgen-hash no longer matches the code',
+    type: 'boolean',
+    default: false
+  })
+  .option('merge-existing', {
+    describe: 'Regenerate only the description and @param tags of existing docs, keeping all other tags',
+    type: 'boolean',
+    default: false
+  })
   .option('batch-size', {
     alias: 'b',
-    describe: 'Number of components to process concurrently',
+    describe: 'Maximum number of LLM requests in flight at once',
     type: 'number',
     default: 30
   })
+  .option('check', {
+    alias: 'c',
+    describe: 'Report undocumented or stale components without calling the LLM or writing files',
+    type: 'boolean',
+    default: false
+  })
+  .option('max-issues', {
+    describe: 'Number of undocumented or stale components allowed before --check fails',
+    type: 'number',
+    default: 0
+  })
+  .option('kinds', {
+    describe: 'Comma-separated kinds to document (components, hooks)',
+    type: 'string',
+    default: 'components,hooks',
+    coerce: (value) => {
+      const kinds = value.split(',').map(kind => kind.trim()).filter(Boolean);
+      const unknown = kinds.filter(kind => !['components', 'hooks'].includes(kind));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown kinds: ${unknown.join(', ')} (expected components, hooks)`);
+      }
+      return kinds;
+    }
+  })
   .help('h')
-  .alias('h', 'help')
-  .demandCommand(1, 'Please specify the project directory')
-  .argv;
+  .alias('h', 'help');
+
+// Parse once to find the project, then again with its config file underneath the flags
+const projectDir = path.resolve(buildCli({}).argv.projectDirectory);
+let projectConfig;
+try {
+  projectConfig = await loadConfig(projectDir);
+} catch (error) {
+  logError(error.message);
+  process.exit(1);
+}
+const argv = buildCli(toCliConfig(projectConfig.config)).argv;
 
-const projectDir = path.resolve(argv._[0]);
+const command = ['stories', 'cache'].includes(argv._[0]) ? argv._[0] : 'document';
 const options = {
-  outputDir: path.resolve(argv.output),
+  projectDir,
+  configPath: projectConfig.path,
+  outputDir: argv.output ? path.resolve(argv.output) : null,
+  html: argv.html,
+  format: argv.format,
+  manifestFile: argv.manifest ? path.resolve(argv.manifest) : null,
   verbose: argv.verbose,
-  isDryRun: argv['dry-run'],
+  logLevel: argv['log-level'] || (argv.quiet ? 'warn' : argv.verbose ? 'debug' : 'info'),
+  logFormat: argv['log-format'],
+  // A JSON report never modifies sources; --manifest writes one alongside a normal run
+  isDryRun: argv['dry-run'] || argv.format === 'json',
+  interactive: argv.interactive,
+  patchFile: argv.patch ? path.resolve(argv.patch) : null,
   rateLimit: argv['rate-limit'],
+  tokensPerMinute: argv['tokens-per-minute'],
+  maxRetries: argv['max-retries'],
+  estimate: argv.estimate,
+  maxTokens: argv['max-tokens'],
+  maxCost: argv['max-cost'],
+  cacheDir: argv['cache-dir'] ? path.resolve(argv['cache-dir']) : null,
+  cache: argv.cache,
+  prices: projectConfig.config.prices || {},
   skipExisting: argv['skip-existing'],
   updateExisting: argv['update-existing'],
-  batchSize: argv['batch-size']
+  updateStale: argv['update-stale'],
+  mergeExisting: argv['merge-existing'],
+  batchSize: argv['batch-size'],
+  kinds: argv.kinds,
+  check: argv.check,
+  maxIssues: argv['max-issues'],
+  force: argv.force,
+  files: argv.files || [],
+  changedSince: argv['changed-since'],
+  staged: argv.staged,
+  restage: argv.restage,
+  srcDir: argv['src-dir'] ? path.resolve(projectDir, argv['src-dir']) : null,
+  include: argv.include || [],
+  exclude: argv.exclude || [],
+  templates: projectConfig.config.templates || {},
+  overrides: projectConfig.config.overrides || [],
+  styleGuide: argv['style-guide'] ? path.resolve(argv['style-guide']) : null,
+  promptVersion: argv['prompt-version'],
+  validate: argv.validate,
+  validationRetries: argv['validation-retries'],
+  provider: argv.provider,
+  baseUrl: argv['base-url'],
+  apiKey: argv['openai-key'],
+  model: argv['openai-model']
 };
-initLogger(options.verbose);
+// Keep stdout clean for the manifest; progress messages go to stderr instead
+initLogger({ level: options.logLevel, format: options.logFormat, stderr: options.format === 'json' });
+initCache({ cacheDir: options.cacheDir, enabled: options.cache });
 
-// Set OpenAI API key from command line or environment variable
-if (argv['openai-key']) {
-  process.env.OPENAI_API_KEY = argv['openai-key'];
-}
+// Status lines printed when documentProject() enters a phase
+const PHASE_MESSAGES = {
+  extract: 'Extracting components from project...',
+  generate: 'Generating documentation for components...',
+  review: 'Reviewing generated documentation...',
+  write: 'Updating source files with documentation...'
+};
 
-if (argv['openai-model']) {
-  process.env.OPENAI_MODEL = argv['openai-model'];
+/**
+ * Describe what failed for the error message of the command that ran
+ */
+function getErrorPrefix() {
+  if (command === 'cache') {
+    return `Error running cache ${argv.action}`;
+  }
+  if (command === 'stories') {
+    return 'Error generating stories';
+  }
+  return options.check ? 'Error checking documentation' : 'Error processing components';
 }
 
 /**
@@ -92,69 +351,356 @@ if (argv['openai-model']) {
  */
 async function main() {
   try {
-    console.log(`Processing React components in ${projectDir}`);
+    if (command === 'cache') {
+      await runCache();
+      return;
+    }
+    
+    logInfo(`Processing React components in ${projectDir}`);
+    if (options.configPath) {
+      logInfo(`Using configuration from ${options.configPath}`);
+    }
     
     // Check if project directory exists
     if (!fs.existsSync(projectDir)) {
-      console.error(`Project directory does not exist: ${projectDir}`);
+      logError(`Project directory does not exist: ${projectDir}`);
       process.exit(1);
     }
     
-    // Initialize OpenAI client if API key is available
-    const openaiClient = setupOpenAI()
-    if (!openaiClient) {
-      console.warn('WARNING: OpenAI API key not found. Will use basic docstring generation.');
-      console.warn('Set your API key with --openai-key flag or OPENAI_API_KEY environment variable.');
+    if (options.check) {
+      await runCheck();
+      return;
+    }
+    
+    // Fail early on unreadable templates or unknown placeholders
+    validatePromptTemplates(options);
+    
+    if (command === 'stories') {
+      await runStories();
+      return;
+    }
+    
+    // Ensure cache directory exists
+    await ensureCacheDirectory();
+    
+    // Initialize the LLM provider if its credentials are available
+    const provider = setupProvider(options);
+    if (!provider) {
+      logWarn(`WARNING: API key for ${options.provider} not found. Will use basic docstring generation.`);
+      logWarn('Set your API key with --openai-key flag or OPENAI_API_KEY / ANTHROPIC_API_KEY environment variable.');
     } else {
-      console.log('OpenAI API key found. Will generate enhanced docstrings.');
+      logInfo(`Using ${provider.name} provider with model ${provider.model}. Will generate enhanced docstrings.`);
+      if (options.maxCost > 0 && !getModelPrice(provider.model, options.prices)) {
+        logError(`No price is known for model ${provider.model}; add it to "prices" in the config file to use --max-cost`);
+        process.exit(1);
+      }
     }
     
     if (options.isDryRun) {
-      console.log('Running in dry-run mode. No files will be modified.');
+      logInfo('Running in dry-run mode. No files will be modified.');
+    } else if (options.patchFile) {
+      logInfo(`Writing changes to ${options.patchFile}. No source files will be modified.`);
     }
     
-    // Step 1: Extract components from project
-    console.log('Extracting components from project...');
-    const componentsByFile = await extractComponentsFromProject(projectDir, options);
+    // Files with unstaged changes before the run are not staged again afterwards
+    const unstagedFiles = options.restage && options.staged ? await getUnstagedFiles(projectDir) : [];
     
-    // Get total component count
-    const totalComponents = Object.values(componentsByFile).reduce((count, components) => count + components.length, 0);
+    if (options.estimate) {
+      logInfo('Extracting components from project...');
+      const componentsByFile = await extractComponents(options);
+      if (componentsByFile) {
+        printProgress({ type: 'extracted', files: Object.keys(componentsByFile).length, components: Object.values(componentsByFile).flat().length });
+        printEstimate(componentsByFile, provider);
+      }
+      return;
+    }
     
-    if (totalComponents === 0) {
-      console.log('No components found in the project.');
+    const targetFiles = await getTargetFiles();
+    if (targetFiles && targetFiles.length === 0) {
+      logInfo('No files to document.');
       return;
     }
     
-    console.log(`Found ${totalComponents} components in ${Object.keys(componentsByFile).length} files.`);
+    // Steps 1 to 3: extract the components, generate their docstrings and update the files
+    const result = await documentProject(projectDir, {
+      ...options,
+      provider,
+      files: targetFiles || undefined,
+      dryRun: options.isDryRun,
+      concurrency: options.batchSize,
+      review: options.interactive
+        ? (componentsByFile, docStrings) => reviewDocStrings(componentsByFile, docStrings, provider, options)
+        : null,
+      onProgress: printProgress
+    });
+    const { componentsByFile, docStrings: componentDocStrings, summary } = result;
     
-    // Step 2: Generate docstrings for all components
-    console.log('Generating documentation for components...');
-    const componentDocStrings = await generateDocStrings(componentsByFile, openaiClient, options);
+    if (result.components.length === 0) {
+      if (options.format === 'json') {
+        process.stdout.write('{}\n');
+      }
+      return;
+    }
     
-    // Step 3: Update files with the generated docstrings
-    console.log('Updating source files with documentation...');
-    const updateResults = await updateFilesWithDocStrings(componentsByFile, componentDocStrings, projectDir, options);
+    if (options.restage && options.staged && !result.dryRun) {
+      await restageFiles(result.files.filter(file => file.modified).map(file => file.filePath), unstagedFiles);
+    }
     
-    // Print results
-    console.log('\nComponent documentation generation complete:');
-    console.log(`- ${updateResults.success} components documented successfully`);
-    console.log(`- ${updateResults.skipped} components skipped (already documented)`);
+    // Step 4: Build the component reference from the extracted and generated docs
+    if (options.outputDir) {
+      logInfo(`Writing component reference to ${options.outputDir}...`);
+      const site = await generateReferenceSite(componentsByFile, componentDocStrings, options.outputDir, options);
+      logInfo(`Wrote ${site.pages} component pages${options.html ? ' and index.html' : ''}.`);
+    } else if (options.html) {
+      logWarn('WARNING: --html needs --output to know where to write the reference.');
+    }
     
-    if (!options.isDryRun) {
-      console.log(`- ${updateResults.failed} components failed`);
+    // Step 5: Export the machine-readable manifest
+    if (options.manifestFile || options.format === 'json') {
+      const manifest = buildManifest(componentsByFile, componentDocStrings, projectDir);
+      if (options.manifestFile) {
+        await writeManifest(manifest, options.manifestFile);
+        logInfo(`Wrote component manifest to ${options.manifestFile}`);
+      }
+      if (options.format === 'json') {
+        process.stdout.write(JSON.stringify(manifest, null, 2) + '\n');
+      }
     }
     
-    console.log(`\nTotal files processed: ${updateResults.filesProcessed}`);
-    console.log(`Files modified: ${updateResults.filesModified}`);
+    // Print results
+    logInfo('\nComponent documentation generation complete:');
+    logInfo(`- ${summary.documented} components documented successfully`);
+    logInfo(`- ${summary.skipped} components skipped`);
+    printSkipReasons(result.components);
+    logInfo(`- ${summary.failed} components failed`);
+    printValidationReport(componentsByFile, componentDocStrings);
+    printUsageSummary(result.usage);
+    
+    logInfo(`\nTotal files processed: ${summary.filesProcessed}`);
+    if (result.dryRun) {
+      logInfo(`Files that would be modified: ${summary.filesModified}`);
+    } else {
+      logInfo(`Files modified: ${summary.filesModified}`);
+    }
     
   } catch (error) {
-    console.error(`Error processing components:`, error.message);
+    stopProgress();
+    logError(`${getErrorPrefix()}: ${error.message}`);
     process.exit(1);
   }
 }
 
+/**
+ * Get the files named on the command line or reported by git, or null to scan the whole project
+ */
+async function getTargetFiles() {
+  const modes = [options.files.length > 0, Boolean(options.changedSince), options.staged].filter(Boolean);
+  if (modes.length > 1) {
+    throw new Error('Use only one of explicit files, --changed-since and --staged');
+  }
+  
+  if (options.files.length > 0) {
+    return options.files;
+  }
+  if (options.changedSince) {
+    const files = await getChangedFiles(projectDir, options.changedSince);
+    logInfo(`${files.length} files changed since ${options.changedSince}`);
+    return files;
+  }
+  if (options.staged) {
+    const files = await getStagedFiles(projectDir);
+    logInfo(`${files.length} files staged`);
+    return files;
+  }
+  return null;
+}
+
+/**
+ * Extract components from the target files, or from the whole project
+ * @returns {Promise<Object|null>} Components keyed by file path, or null when no files need documentation
+ */
+async function extractComponents(extractOptions) {
+  const targetFiles = await getTargetFiles();
+  if (!targetFiles) {
+    return extractComponentsFromProject(projectDir, extractOptions);
+  }
+  
+  if (targetFiles.length === 0) {
+    logInfo('No files to document.');
+    return null;
+  }
+  return extractComponentsFromFiles(projectDir, targetFiles, extractOptions);
+}
+
+/**
+ * Print the progress events of documentProject() as status lines and a progress bar
+ */
+function printProgress(event) {
+  switch (event.type) {
+    case 'phase':
+      stopProgress();
+      logInfo(PHASE_MESSAGES[event.phase]);
+      break;
+    case 'extracted':
+      logInfo(event.components === 0
+        ? 'No components found in the project.'
+        : `Found ${event.components} components in ${event.files} files.`);
+      break;
+    case 'component':
+    case 'file':
+      if (event.completed === 1) {
+        startProgress(event.type === 'component' ? 'Generating' : 'Writing', event.total);
+      }
+      updateProgress(event.completed);
+      break;
+    case 'done':
+      stopProgress();
+      break;
+  }
+}
+
+/**
+ * Print how many components were skipped for each reason, e.g. up to date or rejected in review
+ */
+function printSkipReasons(components) {
+  const counts = new Map();
+  for (const component of components) {
+    if (component.status !== 'skipped' && component.status !== 'unchanged') continue;
+    const reason = component.reason || 'no docstring was generated';
+    counts.set(reason, (counts.get(reason) || 0) + 1);
+  }
+  for (const [reason, count] of counts) {
+    logInfo(`    ${count} ${reason}`);
+  }
+}
+
+/**
+ * Stage the documented files again, leaving partially staged files for the user
+ */
+async function restageFiles(modifiedFiles, unstagedFiles) {
+  const partial = modifiedFiles.filter(file => unstagedFiles.includes(file));
+  const restaged = modifiedFiles.filter(file => !unstagedFiles.includes(file));
+  
+  await stageFiles(projectDir, restaged);
+  if (restaged.length > 0) {
+    logInfo(`Staged ${restaged.length} documented files again`);
+  }
+  for (const file of partial) {
+    // Staging would also add the user's unstaged changes to the commit
+    logWarn(`Not staging ${path.relative(projectDir, file)}: it has unstaged changes, stage the documentation yourself`);
+  }
+}
+
+/**
+ * Print the tokens and cost a run would need, from the prompts of the uncached components
+ */
+function printEstimate(componentsByFile, provider) {
+  const estimate = estimateDocStrings(componentsByFile, provider, options);
+  
+  logInfo('\nEstimate:');
+  logInfo(`- ${estimate.components} components need a request (${estimate.cached} cached, ${estimate.skipped} skipped)`);
+  logInfo(`- ~${estimate.promptTokens} prompt tokens, up to ${estimate.maxCompletionTokens} completion tokens`);
+  if (!provider) {
+    logInfo('- No provider is configured, so the run would use basic docstrings at no cost');
+    return;
+  }
+  
+  const price = getModelPrice(provider.model, options.prices);
+  const minCost = calculateCost(price, estimate.promptTokens, 0);
+  const maxCost = calculateCost(price, estimate.promptTokens, estimate.maxCompletionTokens);
+  logInfo(`- ${provider.model}: ${price ? `${formatCost(minCost)} to ${formatCost(maxCost)}` : 'no known price, add it to "prices" in the config file'}`);
+  logInfo('Validation follow-ups are not included; token counts are estimated at four characters per token.');
+}
+
+/**
+ * Check documentation coverage without generating or writing anything
+ */
+async function runCheck() {
+  logInfo('Checking component documentation...');
+  const componentsByFile = await extractComponents(options);
+  if (!componentsByFile) {
+    return;
+  }
+  const report = checkDocumentation(componentsByFile);
+  
+  printCheckReport(report, projectDir);
+  
+  if (report.issues > options.maxIssues) {
+    logError(`\nCheck failed: ${report.issues} issues found, ${options.maxIssues} allowed.`);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Run a cache subcommand
+ */
+async function runCache() {
+  const { action } = argv;
+  logInfo(`Cache directory: ${getCacheDir()}`);
+  
+  if (action === 'stats') {
+    const stats = getCacheStats(await readCacheEntries());
+    logInfo(`- ${stats.docs} docstrings, ${stats.reviews} review decisions, ${(stats.size / 1024).toFixed(1)} KB`);
+    if (stats.oldest) {
+      logInfo(`- Oldest entry ${stats.oldest.toISOString()}, newest ${stats.newest.toISOString()}`);
+    }
+    for (const [model, count] of Object.entries(stats.byModel)) {
+      logInfo(`- ${model}: ${count} docstrings`);
+    }
+  } else if (action === 'list') {
+    for (const entry of await readCacheEntries()) {
+      const { component, file, provider, model } = entry.data;
+      const source = entry.kind === 'review' ? 'review decision' : model ? `${provider}/${model}` : 'unknown model';
+      const label = component ? `${component} (${file})` : '';
+      logInfo(`${entry.key.substring(0, 12)}  ${new Date(entry.time).toISOString()}  ${source}  ${label}`.trimEnd());
+    }
+  } else if (action === 'prune') {
+    const removed = await pruneCache(parseDuration(argv['older-than']));
+    logInfo(`Removed ${removed} entries older than ${argv['older-than']}`);
+  } else if (action === 'clear') {
+    logInfo(`Removed ${await clearCache()} entries`);
+  } else {
+    if (!argv.file) {
+      throw new Error(`cache ${action} needs --file`);
+    }
+    const file = path.resolve(argv.file);
+    if (action === 'export') {
+      logInfo(`Exported ${await exportCache(file)} entries to ${file}`);
+    } else {
+      const { imported, skipped } = await importCache(file);
+      logInfo(`Imported ${imported} entries from ${file}${skipped > 0 ? ` (${skipped} skipped, the local copy was as new or newer)` : ''}`);
+    }
+  }
+}
+
+/**
+ * Generate Storybook stories from the extracted components and their docs
+ */
+async function runStories() {
+  await ensureCacheDirectory();
+  const provider = setupProvider(options);
+  
+  logInfo('Extracting components from project...');
+  const componentsByFile = await extractComponents({ ...options, kinds: ['components'] });
+  if (!componentsByFile) {
+    return;
+  }
+  
+  // Documented components keep their existing @example; only the rest go to the LLM
+  logInfo('Generating documentation for components...');
+  const componentDocStrings = await generateDocStrings(componentsByFile, provider, { ...options, skipExisting: true });
+  
+  logInfo('Writing stories...');
+  const results = await generateStories(componentsByFile, componentDocStrings, options);
+  
+  logInfo('\nStory generation complete:');
+  logInfo(`- ${results.written.length} stories ${options.isDryRun ? 'would be written' : 'written'}`);
+  logInfo(`- ${results.existing.length} skipped (story file exists, use --force to overwrite)`);
+  logInfo(`- ${results.notExported.length} skipped (component is not exported)`);
+}
+
 // Run the script
 main().catch(error => {
-  console.error(`Unexpected error:`, error);
+  logError(`Unexpected error: ${error.stack || error}`);
   process.exit(1);
 });
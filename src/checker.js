@@ -0,0 +1,134 @@
+// lib/checker.js
+
+import path from 'path';
+
+import { isFingerprintStale } from './utils/fingerprint.js';
+import { logInfo } from './utils/logger.js';
+
+/**
+ * Collect the parameter names documented in a JSDoc block
+ * @param {string} comment - JSDoc comment
+ * @returns {Array<string>} Documented names, e.g. ['props', 'props.title']
+ */
+function getDocumentedParams(comment) {
+  const names = [];
+  const paramPattern = /@param\s+(?:\{.*?\}\s+)?\[?\s*([\w$.]+)/g;
+  let match;
+  while ((match = paramPattern.exec(comment)) !== null) {
+    names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Get the names a component's docs are expected to cover
+ */
+function getExpectedParams(component) {
+  if (component.type === 'CustomHook') {
+    const params = component.hook ? component.hook.params : [];
+    return params.map(param => param.name.replace(/^\.\.\./, ''));
+  }
+  return (component.props || []).map(prop => `props.${prop.name}`);
+}
+
+/**
+ * Work out why an existing comment no longer matches its component
+ * @param {Object} component - Component record from the extractor
+ * @returns {Array<string>} Reasons the docs are stale, empty when up to date
+ */
+function findStaleReasons(component) {
+  const reasons = [];
+
+  if (isFingerprintStale(component, component.existingComment)) {
+    reasons.push('code changed since the docs were generated');
+  }
+
+  const documented = getDocumentedParams(component.existingComment);
+  const expected = getExpectedParams(component);
+
+  const missing = expected.filter(name => !documented.includes(name));
+  if (missing.length > 0) {
+    reasons.push(`missing ${missing.join(', ')}`);
+  }
+
+  // Only flag removed params when the source tells us the full list
+  if (expected.length > 0) {
+    const isHook = component.type === 'CustomHook';
+    const removed = documented.filter(name => {
+      if (isHook) return !name.includes('.') && !expected.includes(name);
+      return name.startsWith('props.') && name.split('.').length === 2 && !expected.includes(name);
+    });
+    if (removed.length > 0) {
+      reasons.push(`documents removed ${removed.join(', ')}`);
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Check every component for missing or outdated documentation
+ * @param {Object} componentsByFile - Components keyed by file path
+ * @returns {Object} Report with per-file issues and totals
+ */
+function checkDocumentation(componentsByFile) {
+  const report = {
+    files: {},
+    total: 0,
+    undocumented: 0,
+    stale: 0
+  };
+
+  for (const [filePath, components] of Object.entries(componentsByFile)) {
+    const issues = [];
+
+    for (const component of components) {
+      report.total++;
+
+      if (!component.existingComment) {
+        issues.push({ component, status: 'undocumented', reasons: [] });
+        report.undocumented++;
+        continue;
+      }
+
+      const reasons = findStaleReasons(component);
+      if (reasons.length > 0) {
+        issues.push({ component, status: 'stale', reasons });
+        report.stale++;
+      }
+    }
+
+    if (issues.length > 0) {
+      report.files[filePath] = issues;
+    }
+  }
+
+  report.issues = report.undocumented + report.stale;
+  return report;
+}
+
+/**
+ * Print a check report grouped by file
+ * @param {Object} report - Report from checkDocumentation
+ * @param {string} projectDir - Project root used for relative paths
+ */
+function printCheckReport(report, projectDir) {
+  for (const [filePath, issues] of Object.entries(report.files)) {
+    logInfo(path.relative(projectDir, filePath));
+    for (const { component, status, reasons } of issues) {
+      const detail = reasons.length > 0 ? `: ${reasons.join('; ')}` : '';
+      logInfo(`  ${component.name} (line ${component.location.line}) ${status}${detail}`);
+    }
+  }
+
+  logInfo(`\nDocumentation check: ${report.issues} of ${report.total} components need attention`);
+  logInfo(`- ${report.undocumented} undocumented`);
+  logInfo(`- ${report.stale} stale`);
+}
+
+export {
+  checkDocumentation,
+  printCheckReport,
+  getDocumentedParams,
+  getExpectedParams
+};
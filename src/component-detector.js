@@ -0,0 +1,201 @@
+// lib/component-detector.js
+
+import path from 'path';
+import t from '@babel/types';
+
+// Component types, one per way of declaring a component
+const COMPONENT_TYPES = {
+  function: 'FunctionComponent',
+  functionExpression: 'FunctionExpressionComponent',
+  arrowFunction: 'ArrowFunctionComponent',
+  anonymousFunction: 'AnonymousFunctionComponent',
+  anonymousArrowFunction: 'AnonymousArrowFunctionComponent',
+  memo: 'MemoComponent',
+  forwardRef: 'ForwardRefComponent',
+  memoForwardRef: 'MemoForwardRefComponent',
+  lazy: 'LazyComponent',
+  class: 'ClassComponent',
+  pureClass: 'PureClassComponent',
+  styled: 'StyledComponent'
+};
+
+/**
+ * Check if a name is capitalised, as JSX requires of component names
+ */
+function isComponentName(name) {
+  return /^[A-Z]/.test(name);
+}
+
+/**
+ * Get the name a call is made through: memo(...) and React.memo(...) both give 'memo'
+ */
+function getCalleeName(callee) {
+  if (t.isIdentifier(callee)) return callee.name;
+  if (t.isMemberExpression(callee) && t.isIdentifier(callee.property)) return callee.property.name;
+  return null;
+}
+
+/**
+ * Check if a node is a JSX element, a fragment or a createElement() call
+ */
+function isJSXNode(node) {
+  return t.isJSXElement(node) || t.isJSXFragment(node) ||
+    (t.isCallExpression(node) && getCalleeName(node.callee) === 'createElement');
+}
+
+/**
+ * Check if an expression is or contains JSX, e.g. `cond ? <A /> : null` or `items.map(i => <li />)`
+ */
+function containsJSX(expressionPath) {
+  if (isJSXNode(expressionPath.node)) return true;
+
+  let found = false;
+  expressionPath.traverse({
+    'JSXElement|JSXFragment|CallExpression'(innerPath) {
+      if (isJSXNode(innerPath.node)) {
+        found = true;
+        innerPath.skip();
+      }
+    }
+  });
+  return found;
+}
+
+/**
+ * Check if a function returns JSX, ignoring the returns of functions nested in it
+ *
+ * Tells components apart from capitalised functions that build other values.
+ * A component that only ever returns `children` or `null` is not recognised.
+ * @param {Object} functionPath - Babel path of a function
+ * @returns {boolean}
+ */
+function returnsJSX(functionPath) {
+  const body = functionPath.get('body');
+  if (!body.isBlockStatement()) {
+    return containsJSX(body);
+  }
+
+  let found = false;
+  body.traverse({
+    Function(innerPath) {
+      innerPath.skip();
+    },
+    ReturnStatement(returnPath) {
+      if (!found && returnPath.node.argument && containsJSX(returnPath.get('argument'))) {
+        found = true;
+      }
+    }
+  });
+  return found;
+}
+
+/**
+ * Check if a tagged template or call builds a styled component,
+ * e.g. styled.div`...`, styled(Button)`...` or styled.input.attrs({...})`...`
+ */
+function isStyledTag(node) {
+  let current = node;
+  while (current) {
+    if (t.isIdentifier(current)) return current.name === 'styled';
+    if (t.isMemberExpression(current)) current = current.object;
+    else if (t.isCallExpression(current)) current = current.callee;
+    else return false;
+  }
+  return false;
+}
+
+/**
+ * Get the first function or call argument of a wrapper call
+ */
+function getWrappedPath(callPath) {
+  return callPath.get('arguments').find(argPath =>
+    argPath.isFunction() || argPath.isCallExpression() || argPath.isIdentifier()) || null;
+}
+
+/**
+ * Classify an expression that may define a component
+ *
+ * Plain functions only count when they return JSX; wrapper calls (memo,
+ * forwardRef, lazy) and styled definitions always do.
+ * @param {Object} expressionPath - Babel path of a variable initializer or default export
+ * @param {boolean} [declaredAsComponent] - Whether a type annotation already says it is one, e.g. `const X: FC`
+ * @returns {Object|null} { type, propsPath, innerName } or null if it is not a component
+ */
+function classifyComponentExpression(expressionPath, declaredAsComponent = false) {
+  const { node } = expressionPath;
+
+  if (expressionPath.isArrowFunctionExpression() || expressionPath.isFunctionExpression()) {
+    if (!declaredAsComponent && !returnsJSX(expressionPath)) return null;
+    return {
+      type: expressionPath.isArrowFunctionExpression() ? COMPONENT_TYPES.arrowFunction : COMPONENT_TYPES.functionExpression,
+      propsPath: expressionPath,
+      innerName: null
+    };
+  }
+
+  if (expressionPath.isTaggedTemplateExpression()) {
+    return isStyledTag(node.tag) ? { type: COMPONENT_TYPES.styled, propsPath: expressionPath, innerName: null } : null;
+  }
+
+  if (!expressionPath.isCallExpression()) return null;
+
+  if (isStyledTag(node.callee)) {
+    return { type: COMPONENT_TYPES.styled, propsPath: expressionPath, innerName: null };
+  }
+
+  const calleeName = getCalleeName(node.callee);
+  const wrappedPath = getWrappedPath(expressionPath);
+  const innerName = wrappedPath && wrappedPath.isFunctionExpression() && wrappedPath.node.id ? wrappedPath.node.id.name : null;
+
+  switch (calleeName) {
+    case 'memo': {
+      const wrapsForwardRef = wrappedPath && wrappedPath.isCallExpression() && getCalleeName(wrappedPath.node.callee) === 'forwardRef';
+      return { type: wrapsForwardRef ? COMPONENT_TYPES.memoForwardRef : COMPONENT_TYPES.memo, propsPath: expressionPath, innerName };
+    }
+    case 'forwardRef':
+      return { type: COMPONENT_TYPES.forwardRef, propsPath: expressionPath, innerName };
+    case 'lazy':
+      return { type: COMPONENT_TYPES.lazy, propsPath: expressionPath, innerName: null };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the type of a class component from its superclass, or null if it is not one
+ * @param {Object} superClass - Superclass node
+ * @returns {string|null} ClassComponent for Component, PureClassComponent for PureComponent
+ */
+function getClassComponentType(superClass) {
+  const isReactMember = t.isMemberExpression(superClass) &&
+    t.isIdentifier(superClass.object, { name: 'React' }) && t.isIdentifier(superClass.property);
+  const name = t.isIdentifier(superClass) ? superClass.name : isReactMember ? superClass.property.name : null;
+
+  if (name === 'Component') return COMPONENT_TYPES.class;
+  if (name === 'PureComponent') return COMPONENT_TYPES.pureClass;
+  return null;
+}
+
+/**
+ * Name an anonymous default export after its file, e.g. user-card.jsx or UserCard/index.jsx give UserCard
+ * @param {string} relativePath - File path
+ * @returns {string} Component name
+ */
+function getDefaultExportName(relativePath) {
+  const { dir, name } = path.parse(relativePath);
+  const base = name === 'index' && dir ? path.basename(dir) : name;
+  const pascalCase = base
+    .replace(/(^|[^a-zA-Z0-9]+)([a-zA-Z0-9])/g, (match, separator, letter) => letter.toUpperCase())
+    .replace(/[^a-zA-Z0-9]/g, '');
+  return /^[A-Z]/.test(pascalCase) ? pascalCase : `Component${pascalCase}`;
+}
+
+export {
+  COMPONENT_TYPES,
+  isComponentName,
+  getCalleeName,
+  returnsJSX,
+  classifyComponentExpression,
+  getClassComponentType,
+  getDefaultExportName
+};
@@ -0,0 +1,384 @@
+// lib/config.js
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { minimatch } from 'minimatch';
+
+import { PROVIDER_NAMES } from './providers/index.js';
+import { LOG_LEVELS, LOG_FORMATS } from './utils/logger.js';
+
+const readFile = fs.promises.readFile;
+
+// Config files looked up in the project root, first match wins
+const CONFIG_FILES = ['.react-docairc.json', 'react-docai.config.js'];
+const PACKAGE_KEY = 'react-docai';
+
+const KINDS = ['components', 'hooks'];
+
+// Options that mirror CLI flags, with their expected type or allowed values
+const CLI_SCHEMA = {
+  output: 'path',
+  html: 'boolean',
+  format: ['text', 'json'],
+  manifest: 'path',
+  verbose: 'boolean',
+  quiet: 'boolean',
+  logLevel: LOG_LEVELS,
+  logFormat: LOG_FORMATS,
+  provider: PROVIDER_NAMES,
+  baseUrl: 'string',
+  model: 'string',
+  rateLimit: 'number',
+  tokensPerMinute: 'number',
+  maxRetries: 'number',
+  estimate: 'boolean',
+  maxTokens: 'number',
+  maxCost: 'number',
+  cacheDir: 'path',
+  cache: 'boolean',
+  include: 'globs',
+  exclude: 'globs',
+  srcDir: 'path',
+  restage: 'boolean',
+  dryRun: 'boolean',
+  interactive: 'boolean',
+  patch: 'path',
+  skipExisting: 'boolean',
+  updateExisting: 'boolean',
+  updateStale: 'boolean',
+  mergeExisting: 'boolean',
+  batchSize: 'number',
+  check: 'boolean',
+  maxIssues: 'number',
+  kinds: 'kinds',
+  force: 'boolean',
+  styleGuide: 'path',
+  promptVersion: 'string',
+  validate: 'boolean',
+  validationRetries: 'number'
+};
+
+// Settings only the config file can express
+const FILE_SCHEMA = {
+  templates: 'templates',
+  overrides: 'overrides',
+  prices: 'prices'
+};
+
+// Settings a per-directory override may change
+const OVERRIDE_SCHEMA = {
+  kinds: 'kinds',
+  skipExisting: 'boolean',
+  updateExisting: 'boolean',
+  updateStale: 'boolean',
+  mergeExisting: 'boolean',
+  templates: 'templates'
+};
+
+const TEMPLATE_KINDS = ['component', 'hook'];
+
+// CLI flags whose names differ from the config key
+const CLI_NAMES = {
+  model: 'openai-model'
+};
+
+/**
+ * Describe a value's type for error messages
+ */
+function describeType(value) {
+  if (Array.isArray(value)) return 'an array';
+  if (value === null) return 'null';
+  return `a ${typeof value}`;
+}
+
+/**
+ * Check one value against a schema entry
+ * @param {string} key - Key path used in error messages
+ * @param {*} value - Value from the config
+ * @param {string|Array<string>} rule - Expected type or allowed values
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @param {Array<string>} errors - Collected error messages
+ * @returns {*} Normalized value
+ */
+function validateValue(key, value, rule, baseDir, errors) {
+  if (Array.isArray(rule)) {
+    if (!rule.includes(value)) {
+      errors.push(`"${key}" must be one of ${rule.map(choice => `"${choice}"`).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    return value;
+  }
+
+  switch (rule) {
+    case 'boolean':
+    case 'string':
+      if (typeof value !== rule) errors.push(`"${key}" must be a ${rule}, got ${describeType(value)}`);
+      return value;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        errors.push(`"${key}" must be a non-negative number, got ${JSON.stringify(value)}`);
+      }
+      return value;
+    case 'path':
+      if (typeof value !== 'string' || !value) {
+        errors.push(`"${key}" must be a path, got ${describeType(value)}`);
+        return value;
+      }
+      return path.resolve(baseDir, value);
+    case 'kinds': {
+      const kinds = typeof value === 'string' ? value.split(',').map(kind => kind.trim()).filter(Boolean) : value;
+      if (!Array.isArray(kinds) || kinds.some(kind => !KINDS.includes(kind))) {
+        errors.push(`"${key}" must list kinds from ${KINDS.map(kind => `"${kind}"`).join(', ')}, got ${JSON.stringify(value)}`);
+      }
+      return kinds;
+    }
+    case 'globs': {
+      const globs = typeof value === 'string' ? [value] : value;
+      if (!Array.isArray(globs) || globs.some(glob => typeof glob !== 'string' || !glob)) {
+        errors.push(`"${key}" must be a glob or an array of globs, got ${JSON.stringify(value)}`);
+      }
+      return globs;
+    }
+    case 'templates':
+      return validateTemplates(key, value, baseDir, errors);
+    case 'overrides':
+      return validateOverrides(key, value, baseDir, errors);
+    case 'prices':
+      return validatePrices(key, value, errors);
+    default:
+      throw new Error(`Unknown config rule: ${rule}`);
+  }
+}
+
+/**
+ * Check template paths and resolve them against the config file's directory
+ */
+function validateTemplates(key, value, baseDir, errors) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`"${key}" must be an object like { "component": "path", "hook": "path" }`);
+    return value;
+  }
+
+  const templates = {};
+  for (const [kind, templatePath] of Object.entries(value)) {
+    if (!TEMPLATE_KINDS.includes(kind)) {
+      errors.push(`"${key}.${kind}" is not a template kind (expected ${TEMPLATE_KINDS.map(name => `"${name}"`).join(', ')})`);
+      continue;
+    }
+    if (typeof templatePath !== 'string' || !templatePath) {
+      errors.push(`"${key}.${kind}" must be a path, got ${describeType(templatePath)}`);
+      continue;
+    }
+    templates[kind] = path.resolve(baseDir, templatePath);
+    if (!fs.existsSync(templates[kind])) {
+      errors.push(`"${key}.${kind}" points to a missing file: ${templates[kind]}`);
+    }
+  }
+  return templates;
+}
+
+/**
+ * Check model prices: { "my-model": { "input": 0.5, "output": 1.5 } } in USD per million tokens
+ */
+function validatePrices(key, value, errors) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`"${key}" must be an object like { "model": { "input": 0.5, "output": 1.5 } }`);
+    return value;
+  }
+
+  for (const [model, price] of Object.entries(value)) {
+    if (!price || typeof price !== 'object' || Array.isArray(price)) {
+      errors.push(`"${key}.${model}" must be an object like { "input": 0.5, "output": 1.5 }`);
+      continue;
+    }
+    validateValue(`${key}.${model}.input`, price.input, 'number', '', errors);
+    validateValue(`${key}.${model}.output`, price.output, 'number', '', errors);
+  }
+  return value;
+}
+
+/**
+ * Check per-directory overrides: [{ files: 'src/legacy/**', skipExisting: true }]
+ */
+function validateOverrides(key, value, baseDir, errors) {
+  if (!Array.isArray(value)) {
+    errors.push(`"${key}" must be an array of { "files": ..., ...settings } objects`);
+    return value;
+  }
+
+  return value.map((override, index) => {
+    const overrideKey = `${key}[${index}]`;
+    if (!override || typeof override !== 'object' || Array.isArray(override)) {
+      errors.push(`"${overrideKey}" must be an object`);
+      return override;
+    }
+    const normalized = { files: [] };
+    if (override.files === undefined) {
+      errors.push(`"${overrideKey}.files" is required`);
+    } else {
+      normalized.files = validateValue(`${overrideKey}.files`, override.files, 'globs', baseDir, errors);
+    }
+
+    for (const [name, setting] of Object.entries(override)) {
+      if (name === 'files') continue;
+      if (!OVERRIDE_SCHEMA[name]) {
+        errors.push(`"${overrideKey}.${name}" cannot be overridden per directory (allowed: ${Object.keys(OVERRIDE_SCHEMA).join(', ')})`);
+        continue;
+      }
+      normalized[name] = validateValue(`${overrideKey}.${name}`, setting, OVERRIDE_SCHEMA[name], baseDir, errors);
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Validate a config object and normalize its values
+ * @param {Object} config - Raw config
+ * @param {string} source - Where the config came from, for error messages
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {Object} Config with paths resolved and list values as arrays
+ * @throws {Error} Listing every problem found
+ */
+function validateConfig(config, source, baseDir) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid configuration in ${source}: expected an object, got ${describeType(config)}`);
+  }
+
+  const errors = [];
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(config)) {
+    if (key === 'apiKey' || key === 'openaiKey') {
+      errors.push(`"${key}" must not be stored in a config file; use --api-key or the OPENAI_API_KEY / ANTHROPIC_API_KEY environment variables`);
+      continue;
+    }
+    const rule = CLI_SCHEMA[key] || FILE_SCHEMA[key];
+    if (!rule) {
+      errors.push(`unknown option "${key}"`);
+      continue;
+    }
+    normalized[key] = validateValue(key, value, rule, baseDir, errors);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration in ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Read the raw config from one candidate file
+ * @returns {Promise<Object|undefined>} Config, or undefined when the file holds none
+ */
+async function readConfigFile(configPath) {
+  if (configPath.endsWith('.js')) {
+    const module = await import(pathToFileURL(configPath).href);
+    return module.default;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(await readFile(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${configPath}: ${error.message}`);
+  }
+
+  if (path.basename(configPath) === 'package.json') {
+    return parsed[PACKAGE_KEY];
+  }
+  return parsed;
+}
+
+/**
+ * Find and load the project configuration
+ * @param {string} projectDir - Project root to search
+ * @returns {Promise<Object>} { config, path } with an empty config when no file is found
+ */
+async function loadConfig(projectDir) {
+  const candidates = [...CONFIG_FILES, 'package.json'].map(name => path.join(projectDir, name));
+
+  for (const candidate of candidates) {
+    if (!fs.existsSync(candidate)) continue;
+
+    const config = await readConfigFile(candidate);
+    if (config === undefined) continue;
+
+    const source = path.basename(candidate) === 'package.json' ? `${candidate} ("${PACKAGE_KEY}" key)` : candidate;
+    return { config: validateConfig(config, source, projectDir), path: source };
+  }
+
+  return { config: {}, path: null };
+}
+
+/**
+ * Pick the settings that map onto CLI flags, keyed by flag name, for yargs' .config()
+ * @param {Object} config - Validated config
+ * @returns {Object} Flag values
+ */
+function toCliConfig(config) {
+  const flags = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (!CLI_SCHEMA[key]) continue;
+    const flag = CLI_NAMES[key] || key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    // Globs stay arrays since a comma can be part of a glob
+    flags[flag] = CLI_SCHEMA[key] === 'kinds' ? value.join(',') : value;
+  }
+  return flags;
+}
+
+/**
+ * Get a file's path relative to the project, with forward slashes for glob matching
+ */
+function toProjectPath(filePath, projectDir) {
+  return path.relative(projectDir || process.cwd(), filePath).split(path.sep).join('/');
+}
+
+/**
+ * Check a file against the include/exclude globs
+ * @param {string} filePath - Absolute file path
+ * @param {Object} options - Options with projectDir, include and exclude
+ * @returns {boolean} Whether the file should be processed
+ */
+function isFileIncluded(filePath, options) {
+  const relativePath = toProjectPath(filePath, options.projectDir);
+  const matches = glob => minimatch(relativePath, glob, { dot: true });
+
+  if (options.include && options.include.length > 0 && !options.include.some(matches)) {
+    return false;
+  }
+  return !(options.exclude && options.exclude.some(matches));
+}
+
+/**
+ * Apply the per-directory overrides that match a file, later overrides winning
+ * @param {Object} options - Run options, including overrides and projectDir
+ * @param {string} filePath - Absolute file path
+ * @returns {Object} Options for this file
+ */
+function resolveFileOptions(options, filePath) {
+  if (!options.overrides || options.overrides.length === 0) {
+    return options;
+  }
+
+  const relativePath = toProjectPath(filePath, options.projectDir);
+  let resolved = options;
+  for (const { files, ...settings } of options.overrides) {
+    if (files.some(glob => minimatch(relativePath, glob, { dot: true }))) {
+      resolved = {
+        ...resolved,
+        ...settings,
+        templates: settings.templates ? { ...resolved.templates, ...settings.templates } : resolved.templates
+      };
+    }
+  }
+  return resolved;
+}
+
+export {
+  loadConfig,
+  validateConfig,
+  toCliConfig,
+  isFileIncluded,
+  resolveFileOptions
+};
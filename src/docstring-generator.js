@@ -1,60 +1,207 @@
 // lib/docstring-generator.js
 
-import { logVerbose } from './utils/logger.js';
-import { generateDocStringWithOpenAI, generateBasicDocString } from './utils/openai-utils.js';
+import { logError, logWarn, logInfo, logDebug } from './utils/logger.js';
+import { generateDocStringWithOpenAI, generateBasicDocString, generateBasicHookDocString, buildDocStringRequest } from './utils/openai-utils.js';
+import { getDocCacheKey, docCacheExists } from './utils/cache.js';
+import { getComponentFingerprint, addFingerprint, isFingerprintStale, readFingerprint } from './utils/fingerprint.js';
+import { resolveFileOptions } from './config.js';
+import { getPromptTemplate } from './prompt-templates.js';
+import { validateDocString, formatValidationFeedback } from './docstring-validator.js';
+import { createScheduler, scheduleProvider } from './utils/scheduler.js';
+import { createBudget, limitProvider, estimateTokens } from './utils/usage.js';
+
+// Follow-up requests made when generated docs fail validation
+const DEFAULT_VALIDATION_RETRIES = 2;
+
+// Requests in flight at once and retries per request when not configured
+const DEFAULT_CONCURRENCY = 5;
+const DEFAULT_MAX_RETRIES = 5;
 
 /**
- * Sleep for the specified milliseconds
+ * Generate the basic docstring for a component or hook
  */
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+function generateFallbackDocString(component) {
+  if (component.type === 'CustomHook') {
+    return generateBasicHookDocString(component.name, component.file, component.location, component.hook);
+  }
+  return generateBasicDocString(component.name, component.file, component.location, component.type || 'Component', component.props);
+}
 
 /**
- * Process a batch of components to generate docstrings
+ * Tell the model about a component's sub-components, so the parent's description can mention them
  */
-async function processBatch(batch, openaiClient, options) {
-  const results = {};
+function describeSubComponents(component) {
+  if (!component.subComponents || component.subComponents.length === 0) {
+    return '';
+  }
+  const names = component.subComponents.map(subComponent => subComponent.name).join(', ');
+  return `${component.name} owns these sub-components, which are documented separately: ${names}. Mention how they are used together in the description.`;
+}
+
+/**
+ * List a parent's sub-components in its sanitized docstring with one @see tag each
+ */
+function addSubComponentTags(docstring, component) {
+  const seeLines = docstring.split('\n').filter(line => line.includes('@see')).join('\n');
+  const tags = (component.subComponents || [])
+    .filter(subComponent => !seeLines.includes(subComponent.name))
+    .map(subComponent => ` * @see ${subComponent.name}`);
+  if (tags.length === 0) {
+    return docstring;
+  }
+
+  // Sanitized docstrings end with a line of their own holding */
+  const lines = docstring.split('\n');
+  lines.splice(lines.length - 1, 0, ...tags);
+  return lines.join('\n');
+}
+
+/**
+ * Ask the provider for a docstring, re-prompting with the problems found until it validates
+ * @param {Object} usage - Tokens used by the component's requests, updated in place
+ * @returns {Promise<Object>} { docstring, validationErrors, cached } with the errors left after the last attempt
+ */
+async function generateValidatedDocString(component, provider, extraInstructions, options, usage) {
+  const maxRetries = options.validationRetries ?? DEFAULT_VALIDATION_RETRIES;
+  const promptTemplate = getPromptTemplate(component, options);
+  let instructions = extraInstructions;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    const { docstring: docString, usage: requestUsage, cached } = await generateDocStringWithOpenAI(
+      provider,
+      component.name, 
+      component.file, 
+      component.location, 
+      component.code,
+      component.type || 'Component',
+      component.props,
+      component.hook,
+      instructions,
+      promptTemplate
+    );
+    if (requestUsage) {
+      usage.requests++;
+      usage.promptTokens += requestUsage.promptTokens;
+      usage.completionTokens += requestUsage.completionTokens;
+    }
+    
+    if (options.validate === false) {
+      return { docstring: docString, validationErrors: [], cached };
+    }
+    
+    errors = validateDocString(docString, component).errors;
+    if (errors.length === 0) {
+      return { docstring: docString, validationErrors: [], cached };
+    }
+    
+    logDebug(`Generated docs for ${component.name} failed validation (attempt ${attempt + 1}/${maxRetries + 1}): ${errors.join('; ')}`);
+    instructions = [extraInstructions, formatValidationFeedback(errors)].filter(Boolean).join('\n\n');
+  }
   
-  // Use Promise.all to process components in parallel
-  const promises = batch.map(async (component) => {
+  return { docstring: null, validationErrors: errors, cached: false };
+}
+
+/**
+ * Generate the final docstring for a single component, with any validation problems left unresolved
+ * @param {Object} component - Component record from the extractor
+ * @param {Object|null} provider - LLM provider, or null for the basic generator
+ * @param {string} [extraInstructions] - Additional guidance appended to the prompt
+ * @param {Object} [options] - Run options, for prompt templates, the style guide and validation
+ * @returns {Promise<Object>} { docstring, validationErrors, usage, cached } where usage counts the
+ *   requests and tokens spent on the component and cached tells if the docstring came from the cache
+ * @throws {Error} With code BUDGET_EXCEEDED when the run's token or cost budget is used up
+ */
+async function generateCheckedDocString(component, provider, extraInstructions = '', options = {}) {
+  let docString = null;
+  let validationErrors = [];
+  let cached = false;
+  const usage = { model: provider ? provider.model : null, requests: 0, promptTokens: 0, completionTokens: 0 };
+  const instructions = [describeSubComponents(component), extraInstructions].filter(Boolean).join('\n\n');
+  
+  // Generate docstring with the LLM provider if available
+  if (provider && component.code) {
     try {
-      // Skip if it has an existing comment and we're told to skip those
-      if (options.skipExisting && component.existingComment) {
-        logVerbose(`Skipping ${component.name} - already has documentation`);
-        return { id: component.uniqueId, docstring: null, skipped: true };
-      }
+      logDebug(`Generating enhanced docstring for ${component.name} using ${provider.name}...`);
       
-      let docString;
-      
-      // Generate docstring with OpenAI if available
-      if (openaiClient && component.code) {
-        try {
-          logVerbose(`Generating enhanced docstring for ${component.name} using OpenAI...`);
-          
-          docString = await generateDocStringWithOpenAI(
-            openaiClient,
-            component.name, 
-            component.file, 
-            component.location, 
-            component.code,
-            component.type || 'Component'
-          );
-        } catch (error) {
-          console.error(`Error generating enhanced docstring for ${component.name}:`, error.message);
-          // Fallback to basic docstring
-          docString = generateBasicDocString(component.name, component.file, component.location, component.type || 'Component');
-        }
-      } else {
-        // Use basic docstring generator
-        docString = generateBasicDocString(component.name, component.file, component.location, component.type || 'Component');
+      ({ docstring: docString, validationErrors, cached } = await generateValidatedDocString(component, provider, instructions, options, usage));
+      if (!docString) {
+        logWarn(`Generated docs for ${component.name} still failed validation, using the basic docstring`);
       }
-      
-      docString = sanitizeDocString(docString);
-
-      return { id: component.uniqueId, docstring: docString, skipped: false };
     } catch (error) {
-      console.error(`Error processing component ${component.name}:`, error.message);
-      return { id: component.uniqueId, docstring: null, error: error.message };
+      // Out of budget: leave the component alone rather than write the basic docstring
+      if (error.code === 'BUDGET_EXCEEDED') {
+        throw error;
+      }
+      logError(`Error generating enhanced docstring for ${component.name}: ${error.message}`);
+    }
+  }
+  
+  // Fall back to the basic docstring when there is no provider or generation failed
+  if (!docString) {
+    docString = generateFallbackDocString(component);
+  }
+  
+  docString = addSubComponentTags(sanitizeDocString(docString), component);
+  
+  // Embed a fingerprint of the code so later runs can tell if the docs are stale
+  return {
+    docstring: addFingerprint(docString, getComponentFingerprint(component)),
+    validationErrors,
+    usage,
+    cached
+  };
+}
+
+/**
+ * Generate the final docstring for a single component
+ * @param {Object} component - Component record from the extractor
+ * @param {Object|null} provider - LLM provider, or null for the basic generator
+ * @param {string} [extraInstructions] - Additional guidance appended to the prompt
+ * @param {Object} [options] - Run options, for prompt templates, the style guide and validation
+ * @returns {Promise<string>} Sanitized docstring with its fingerprint
+ */
+async function generateComponentDocString(component, provider, extraInstructions = '', options = {}) {
+  const { docstring } = await generateCheckedDocString(component, provider, extraInstructions, options);
+  return docstring;
+}
+
+/**
+ * Get why a component keeps its current docs, or null when it should be documented
+ */
+function getSkipReason(component, options) {
+  // Per-directory overrides from the config file
+  const componentOptions = resolveFileOptions(options, component.filePath);
+  
+  // Skip if it has an existing comment and we're told to skip those
+  if (componentOptions.skipExisting && component.existingComment) {
+    return 'already has documentation';
+  }
+  
+  // In update-stale mode, keep docs whose fingerprint still matches the code, and hand-written ones
+  if (componentOptions.updateStale && component.existingComment &&
+      !isFingerprintStale(component, component.existingComment)) {
+    return readFingerprint(component.existingComment) ? 'documentation is up to date' : 'has hand-written documentation';
+  }
+  
+  return null;
+}
+
+/**
+ * Generate docstrings for a list of components concurrently
+ *
+ * options.onDocString, when given, is called with each component and its result as soon as it is done.
+ */
+async function processBatch(batch, provider, options) {
+  const results = {};
+  
+  // Use Promise.all to process components in parallel
+  const promises = batch.map(async (component) => {
+    const result = await processComponent(component, provider, options);
+    if (options.onDocString) {
+      options.onDocString(component, result);
     }
+    return result;
   });
   
   // Wait for all promises to resolve
@@ -65,7 +212,12 @@ async function processBatch(batch, openaiClient, options) {
     results[result.id] = {
       docstring: result.docstring,
       skipped: result.skipped || false,
-      error: result.error || null
+      skipReason: result.skipReason || null,
+      error: result.error || null,
+      validationErrors: result.validationErrors || [],
+      usage: result.usage || null,
+      cached: result.cached || false,
+      budgetExceeded: result.budgetExceeded || false
     };
   });
   
@@ -73,11 +225,81 @@ async function processBatch(batch, openaiClient, options) {
 }
 
 /**
- * Generate docstrings for all components
+ * Generate the docstring of a single component, unless it is skipped
  */
-async function generateDocStrings(componentsByFile, openaiClient, options) {
-  const results = {};
+async function processComponent(component, provider, options) {
+  try {
+    const skipReason = getSkipReason(component, options);
+    if (skipReason) {
+      logDebug(`Skipping ${component.name} - ${skipReason}`);
+      return { id: component.uniqueId, docstring: null, skipped: true, skipReason };
+    }
+    
+    const { docstring, validationErrors, usage, cached } = await generateCheckedDocString(component, provider, '', options);
+
+    return { id: component.uniqueId, docstring, skipped: false, validationErrors, usage, cached };
+  } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      logDebug(`Skipping ${component.name} - ${error.message}`);
+      return { id: component.uniqueId, docstring: null, skipped: true, budgetExceeded: true };
+    }
+    logError(`Error processing component ${component.name}: ${error.message}`);
+    return { id: component.uniqueId, docstring: null, error: error.message };
+  }
+}
+
+/**
+ * Estimate the prompt tokens of every component that is not in the cache yet, without sending anything
+ *
+ * Only first attempts are counted; validation follow-ups add to the real run.
+ * @param {Object} componentsByFile - Components keyed by file path
+ * @param {Object|null} provider - LLM provider, whose cache entries count as cached
+ * @param {Object} options - Run options
+ * @returns {Object} { components, cached, skipped, promptTokens, maxCompletionTokens }
+ */
+function estimateDocStrings(componentsByFile, provider, options) {
+  const estimate = { components: 0, cached: 0, skipped: 0, promptTokens: 0, maxCompletionTokens: 0 };
+  
+  for (const component of Object.values(componentsByFile).flat()) {
+    if (!component.code || getSkipReason(component, options)) {
+      estimate.skipped++;
+      continue;
+    }
+    
+    const promptTemplate = getPromptTemplate(component, options);
+    const request = buildDocStringRequest(
+      component.name,
+      component.file,
+      component.code,
+      component.type || 'Component',
+      component.props,
+      component.hook,
+      describeSubComponents(component),
+      promptTemplate
+    );
+    if (provider && docCacheExists(getDocCacheKey(request.hash, provider, promptTemplate.version))) {
+      estimate.cached++;
+      continue;
+    }
+    
+    estimate.components++;
+    estimate.promptTokens += estimateTokens(request.system) + estimateTokens(request.prompt);
+    estimate.maxCompletionTokens += request.maxTokens;
+  }
   
+  return estimate;
+}
+
+/**
+ * Generate docstrings for all components
+ *
+ * Provider requests go through a scheduler that keeps them within the
+ * requests-per-minute and tokens-per-minute budgets and retries rate limits
+ * and server errors; a component only falls back to the basic docstring once
+ * its retries are exhausted. Once the --max-tokens or --max-cost budget is used
+ * up, the remaining components are skipped.
+ */
+async function generateDocStrings(componentsByFile, provider, options) {
   // Flatten components from all files into a single array
   const allComponents = [];
   Object.values(componentsByFile).forEach(fileComponents => {
@@ -85,31 +307,29 @@ async function generateDocStrings(componentsByFile, openaiClient, options) {
   });
   
   const totalComponents = allComponents.length;
-  console.log(`Generating docstrings for ${totalComponents} components...`);
+  logInfo(`Generating docstrings for ${totalComponents} components...`);
   
-  // Determine batch size based on options or rate limit
-  const batchSize = options.batchSize || Math.min(5, Math.floor(options.rateLimit / 2));
-  const totalBatches = Math.ceil(totalComponents / batchSize);
+  const scheduler = createScheduler({
+    requestsPerMinute: options.rateLimit,
+    tokensPerMinute: options.tokensPerMinute,
+    concurrency: options.batchSize || DEFAULT_CONCURRENCY,
+    maxRetries: options.maxRetries ?? DEFAULT_MAX_RETRIES
+  });
+  // The budget sits inside the scheduler so it is checked when a request is actually sent
+  let scheduledProvider = null;
+  if (provider) {
+    const budget = createBudget({ model: provider.model, maxTokens: options.maxTokens, maxCost: options.maxCost, prices: options.prices });
+    scheduledProvider = scheduleProvider(limitProvider(provider, budget), scheduler);
+  }
   
-  // Process components in batches
-  for (let i = 0; i < totalComponents; i += batchSize) {
-    const batchNum = Math.floor(i / batchSize) + 1;
-    const batch = allComponents.slice(i, i + batchSize);
-    
-    console.log(`Processing batch ${batchNum}/${totalBatches} (${batch.length} components)`);
-    
-    // Process the batch
-    const batchResults = await processBatch(batch, openaiClient, options);
-    
-    // Merge results
-    Object.assign(results, batchResults);
-    
-    // Wait before processing the next batch to respect rate limits (if OpenAI is used)
-    if (i + batchSize < totalComponents && openaiClient) {
-      const delayMs = (60000 / options.rateLimit) * batchSize;
-      console.log(`Waiting ${delayMs}ms before next batch (rate limit: ${options.rateLimit}/minute)...`);
-      await sleep(delayMs);
-    }
+  // Every component is queued at once; the scheduler decides when requests go out
+  const results = await processBatch(allComponents, scheduledProvider, options);
+  
+  if (scheduler.stats.retries > 0) {
+    logInfo(`Retried ${scheduler.stats.retries} requests (${scheduler.stats.rateLimited} rate limited), ${scheduler.stats.failed} failed after retries`);
+  }
+  if (scheduler.stats.budgetSkipped > 0) {
+    logInfo(`Skipped ${scheduler.stats.budgetSkipped} requests once the token or cost budget was used up`);
   }
   
   return results;
@@ -119,32 +339,28 @@ async function generateDocStrings(componentsByFile, openaiClient, options) {
  * Sanitize the generated docstring
  */
 function sanitizeDocString(docString) {
-  // Remove nested comment delimiters that could break the docstring
-  
-  // Replace /** with blank
-  let sanitized = docString.replace(/\/\*\*/g, "");
-  
-  // Replace /* with blank
-  sanitized = docString.replace(/\/\*/g, "");
+  // Take the body between the outer delimiters
+  let body = docString.trim()
+    .replace(/^\/\*+[ \t]*/, '')
+    .replace(/\*+\/$/, '');
   
-  // Replace **/ with blank
-  sanitized = sanitized.replace(/\*\*\//g, "");
-  // Replace */ with blank
-  sanitized = sanitized.replace(/\*\//g, "");
+  // Remove nested comment delimiters that could break the docstring
+  body = body.replace(/\/\*+/g, '').replace(/\*+\//g, '');
   
-  // Make sure the docstring starts with /** if it doesn't already
-  if (!sanitized.startsWith('/**')) {
-    sanitized = `/**${sanitized.startsWith('*') ? '' : '\n *'} ${sanitized}`;
-  }
+  // Re-prefix every line, keeping the indentation after the asterisk
+  const lines = body
+    .split('\n')
+    .map(line => line.replace(/^\s*\* ?/, '').replace(/\s+$/, ''));
   
-  // Make sure the docstring ends with */ if it doesn't already
-  if (!sanitized.endsWith('*/')) {
-    sanitized = `${sanitized}\n */`;
-  }
+  // Drop blank lines at the start and end
+  while (lines.length > 0 && !lines[0]) lines.shift();
+  while (lines.length > 0 && !lines[lines.length - 1]) lines.pop();
   
-  return sanitized;
+  return ['/**', ...lines.map(line => (line ? ` * ${line}` : ' *')), ' */'].join('\n');
 }
 
 export {
-  generateDocStrings
+  generateDocStrings,
+  estimateDocStrings,
+  generateComponentDocString
 };
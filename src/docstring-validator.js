@@ -0,0 +1,151 @@
+// lib/docstring-validator.js
+
+import { parseJSDoc } from './utils/jsdoc-parser.js';
+import { getExpectedParams } from './checker.js';
+import { logInfo } from './utils/logger.js';
+
+const PARAM_TAGS = ['param', 'arg', 'argument'];
+
+// Spreading props onto a child ({...rest}) forwards props the source never names
+const FORWARDED_PROPS_PATTERN = /\{\s*\.\.\.[\w$.]+\s*\}/;
+
+/**
+ * Count non-overlapping occurrences of a substring
+ */
+function countOccurrences(text, search) {
+  return text.split(search).length - 1;
+}
+
+/**
+ * Check the comment delimiters: exactly one opening /** and one closing *\/
+ */
+function checkDelimiters(docstring) {
+  const errors = [];
+  const trimmed = docstring.trim();
+
+  if (!trimmed.startsWith('/**')) {
+    errors.push('the comment does not start with /**');
+  }
+  if (!trimmed.endsWith('*/')) {
+    errors.push('the comment does not end with */');
+  }
+  if (countOccurrences(trimmed, '/*') > 1 || countOccurrences(trimmed, '*/') > 1) {
+    errors.push('the comment contains nested /* or */ delimiters, which end the block early');
+  }
+
+  return errors;
+}
+
+/**
+ * Check the block tags for unbalanced braces and unreadable parameter names
+ */
+function checkTags(tags) {
+  const errors = [];
+
+  for (const tag of tags) {
+    if (tag.unbalanced) {
+      errors.push(`@${tag.tag} has an unbalanced {type}: ${tag.raw.trim()}`);
+      continue;
+    }
+    if (!PARAM_TAGS.includes(tag.tag)) continue;
+
+    if (!tag.name) {
+      errors.push(`@${tag.tag} is missing a parameter name`);
+    } else if (/[[\]]/.test(tag.name)) {
+      errors.push(`@${tag.tag} has a malformed optional name: ${tag.name}`);
+    } else if (!tag.type) {
+      errors.push(`@${tag.tag} ${tag.name} is missing a {type}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Get the top-level names documented with @param, e.g. props.title but not props.user.name
+ */
+function getDocumentedNames(tags, isHook) {
+  return tags
+    .filter(tag => PARAM_TAGS.includes(tag.tag) && tag.name)
+    .map(tag => tag.name)
+    .filter(name => (isHook ? !name.includes('.') : name.startsWith('props.') && name.split('.').length === 2));
+}
+
+/**
+ * Validate a generated docstring against the component it documents
+ *
+ * Props (or hook parameters) are only compared when the extractor found some,
+ * and documented extras are allowed when the component forwards its props.
+ * @param {string} docstring - Docstring as returned by the model
+ * @param {Object} component - Component record from the extractor
+ * @returns {Object} { errors, missing, hallucinated } where errors lists every problem
+ */
+function validateDocString(docstring, component) {
+  const errors = checkDelimiters(docstring);
+  const { tags } = parseJSDoc(docstring);
+  errors.push(...checkTags(tags));
+
+  const isHook = component.type === 'CustomHook';
+  const expected = getExpectedParams(component).map(name => name.replace(/^props\./, ''));
+  const documented = getDocumentedNames(tags, isHook).map(name => name.replace(/^props\.|^\.\.\./, ''));
+  let missing = [];
+  let hallucinated = [];
+
+  if (expected.length > 0) {
+    const prefix = isHook ? '' : 'props.';
+    missing = expected.filter(name => !documented.includes(name));
+    if (missing.length > 0) {
+      errors.push(`missing @param for ${missing.map(name => prefix + name).join(', ')}`);
+    }
+
+    if (!FORWARDED_PROPS_PATTERN.test(component.code || '')) {
+      hallucinated = documented.filter(name => !expected.includes(name));
+      if (hallucinated.length > 0) {
+        const noun = isHook ? 'parameters' : 'props';
+        errors.push(`@param for ${noun} the ${isHook ? 'hook' : 'component'} does not accept: ${hallucinated.map(name => prefix + name).join(', ')}`);
+      }
+    }
+  }
+
+  return { errors, missing, hallucinated };
+}
+
+/**
+ * Turn validation errors into instructions for a follow-up request
+ * @param {Array<string>} errors - Errors from validateDocString
+ * @returns {string} Instructions for the model
+ */
+function formatValidationFeedback(errors) {
+  return `Your previous docstring had these problems, fix all of them:\n${errors.map(error => `- ${error}`).join('\n')}`;
+}
+
+/**
+ * Print the components whose generated docs never passed validation
+ * @param {Object} componentsByFile - Components keyed by file path
+ * @param {Object} docStrings - Results from generateDocStrings, keyed by component ID
+ * @returns {number} Number of components reported
+ */
+function printValidationReport(componentsByFile, docStrings) {
+  const unresolved = Object.values(componentsByFile)
+    .flat()
+    .filter(component => {
+      const result = docStrings[component.uniqueId];
+      return result && result.validationErrors && result.validationErrors.length > 0;
+    });
+
+  if (unresolved.length > 0) {
+    logInfo(`- ${unresolved.length} components used the basic docstring after failing validation:`);
+    for (const component of unresolved) {
+      const { validationErrors } = docStrings[component.uniqueId];
+      logInfo(`    ${component.name} (${component.file}:${component.location.line}): ${validationErrors.join('; ')}`);
+    }
+  }
+
+  return unresolved.length;
+}
+
+export {
+  validateDocString,
+  formatValidationFeedback,
+  printValidationReport
+};
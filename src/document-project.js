@@ -0,0 +1,200 @@
+// lib/document-project.js
+
+import path from 'path';
+
+import { extractComponentsFromProject, extractComponentsFromFiles } from './extractor.js';
+import { generateDocStrings } from './docstring-generator.js';
+import { updateFilesWithDocStrings } from './utils/file-updater.js';
+import { setupProvider } from './providers/index.js';
+import { clearTypeCache } from './type-resolver.js';
+import { initCache } from './utils/cache.js';
+import { runWithFileSystem } from './utils/file-system.js';
+import { summarizeUsage } from './utils/usage.js';
+
+// What updateFilesWithDocStrings() reports when there was nothing to update
+const EMPTY_UPDATE_RESULTS = {
+  success: 0,
+  skipped: 0,
+  failed: 0,
+  filesProcessed: 0,
+  filesModified: 0,
+  modifiedFiles: [],
+  outcomes: {}
+};
+
+/**
+ * Get the provider a run uses: an injected one, one set up by name, or null for basic docstrings
+ */
+function resolveProvider(options) {
+  if (options.provider === null) {
+    return null;
+  }
+  if (options.provider && typeof options.provider === 'object') {
+    return options.provider;
+  }
+  return setupProvider({
+    provider: options.provider || 'openai',
+    apiKey: options.apiKey,
+    baseUrl: options.baseUrl,
+    model: options.model
+  });
+}
+
+/**
+ * Translate the public options into the options the pipeline modules read
+ */
+function toRunOptions(projectDir, options) {
+  return {
+    ...options,
+    projectDir,
+    isDryRun: options.dryRun || false,
+    patchFile: options.patchFile ? path.resolve(options.patchFile) : null,
+    batchSize: options.concurrency,
+    include: options.include || [],
+    exclude: options.exclude || [],
+    templates: options.templates || {},
+    overrides: options.overrides || [],
+    prices: options.prices || {}
+  };
+}
+
+/**
+ * Build the public result of one component from its generation and update results
+ */
+function toComponentResult(component, docStringResult = {}, outcome = {}) {
+  let status = outcome.status || 'skipped';
+  let reason = outcome.reason || docStringResult.skipReason || null;
+  if (docStringResult.error) {
+    status = 'failed';
+    reason = docStringResult.error;
+  } else if (docStringResult.budgetExceeded) {
+    reason = 'the token or cost budget was used up';
+  }
+
+  const usage = docStringResult.usage;
+  return {
+    id: component.uniqueId,
+    name: component.name,
+    type: component.type,
+    filePath: component.filePath,
+    file: component.file,
+    line: component.location.line,
+    parent: component.parent ? component.parent.name : null,
+    status,
+    reason,
+    docstring: docStringResult.docstring || null,
+    error: docStringResult.error || null,
+    validationErrors: docStringResult.validationErrors || [],
+    cached: docStringResult.cached || false,
+    tokens: usage && usage.requests > 0
+      ? { requests: usage.requests, prompt: usage.promptTokens, completion: usage.completionTokens }
+      : null
+  };
+}
+
+/**
+ * Assemble the result of a run
+ */
+function buildResult(projectDir, provider, runOptions, componentsByFile, docStrings, updateResults) {
+  const components = Object.values(componentsByFile).flat();
+  return {
+    projectDir,
+    provider: provider ? { name: provider.name, model: provider.model } : null,
+    dryRun: runOptions.isDryRun || Boolean(runOptions.patchFile),
+    components: components.map(component =>
+      toComponentResult(component, docStrings[component.uniqueId], updateResults.outcomes[component.uniqueId])),
+    files: Object.keys(componentsByFile).map(filePath => ({
+      filePath,
+      modified: updateResults.modifiedFiles.includes(filePath)
+    })),
+    summary: {
+      documented: updateResults.success,
+      skipped: updateResults.skipped,
+      failed: updateResults.failed,
+      filesProcessed: updateResults.filesProcessed,
+      filesModified: updateResults.filesModified
+    },
+    usage: summarizeUsage(docStrings, runOptions.prices),
+    componentsByFile,
+    docStrings
+  };
+}
+
+/**
+ * Extract, document and update every component of a project
+ *
+ * The same pipeline as the command line tool, without exiting the process.
+ * Progress is reported through options.onProgress with events of type
+ * 'phase', 'extracted', 'component', 'file' and 'done'.
+ * @param {string} projectDir - Project directory
+ * @param {Object} [options] - Run options, see index.d.ts
+ * @returns {Promise<Object>} Result with a status per component, see index.d.ts
+ */
+async function documentProject(projectDir, options = {}) {
+  const root = path.resolve(projectDir);
+  const runOptions = toRunOptions(root, options);
+  const emit = (event) => {
+    if (options.onProgress) {
+      options.onProgress(event);
+    }
+  };
+
+  if (options.cacheDir !== undefined || options.cache !== undefined) {
+    initCache({ cacheDir: options.cacheDir, enabled: options.cache !== false });
+  }
+
+  return runWithFileSystem(options.fs || null, async () => {
+    const provider = resolveProvider(options);
+
+    emit({ type: 'phase', phase: 'extract' });
+    clearTypeCache();
+    const componentsByFile = options.files
+      ? await extractComponentsFromFiles(root, options.files, runOptions)
+      : await extractComponentsFromProject(root, runOptions);
+    const components = Object.values(componentsByFile).flat();
+    emit({ type: 'extracted', files: Object.keys(componentsByFile).length, components: components.length });
+
+    if (components.length === 0) {
+      const result = buildResult(root, provider, runOptions, componentsByFile, {}, EMPTY_UPDATE_RESULTS);
+      emit({ type: 'done', result });
+      return result;
+    }
+
+    emit({ type: 'phase', phase: 'generate' });
+    let generated = 0;
+    let docStrings = await generateDocStrings(componentsByFile, provider, {
+      ...runOptions,
+      onDocString: (component, docString) => emit({
+        type: 'component',
+        id: component.uniqueId,
+        name: component.name,
+        file: component.filePath,
+        cached: docString.cached || false,
+        error: docString.error || null,
+        completed: ++generated,
+        total: components.length
+      })
+    });
+
+    if (options.review) {
+      emit({ type: 'phase', phase: 'review' });
+      docStrings = await options.review(componentsByFile, docStrings, provider);
+    }
+
+    emit({ type: 'phase', phase: 'write' });
+    const fileCount = Object.keys(componentsByFile).length;
+    let written = 0;
+    const updateResults = await updateFilesWithDocStrings(componentsByFile, docStrings, root, {
+      ...runOptions,
+      onFileUpdated: (filePath, fileResult) => emit({ type: 'file', file: filePath, modified: fileResult.modified, completed: ++written, total: fileCount })
+    });
+
+    const result = buildResult(root, provider, runOptions, componentsByFile, docStrings, updateResults);
+    emit({ type: 'done', result });
+    return result;
+  });
+}
+
+export {
+  documentProject
+};
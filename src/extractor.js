@@ -1,83 +1,24 @@
 // lib/extractor.js
 
-import fs from 'fs';
 import path from 'path';
 import babylon from '@babel/parser';
 import _traverse from "@babel/traverse";
 const traverse = _traverse.default;
 import t from '@babel/types';
-import { minimatch } from 'minimatch'
 
-import { logVerbose } from './utils/logger.js';
+import { logError, logWarn, logDebug, logTrace } from './utils/logger.js';
+import { collectComponentProps, readStaticPropAssignment, mergeProps } from './prop-extractor.js';
+import { resolveComponentPropsType, hasComponentTypeAnnotation } from './type-resolver.js';
+import { isHookName, collectHookInfo } from './hook-extractor.js';
+import { COMPONENT_TYPES, isComponentName, returnsJSX, classifyComponentExpression, getClassComponentType, getDefaultExportName, getCalleeName } from './component-detector.js';
+import { isFileIncluded, resolveFileOptions } from './config.js';
+import { createIgnoreFilter, isIgnored } from './utils/ignore.js';
+import { getFileSystem } from './utils/file-system.js';
+import { getCodeWithoutComments } from './utils/fingerprint.js';
 
-const readFile = fs.promises.readFile;
 
 
 
-/**
- * Load .gitignore patterns from a project directory
- */
-async function loadGitignore(dir) {
-  const gitignorePath = path.join(dir, '.gitignore');
-  const ignorePatterns = [];
-  console.log(`Loading .gitignore from ${gitignorePath}`);
-  try {
-    if (fs.existsSync(gitignorePath)) {
-      const content = await readFile(gitignorePath, 'utf8');
-      const lines = content.split('\n');
-      
-      for (const line of lines) {
-        const trimmedLine = line.trim();
-        // Skip empty lines and comments
-        if (!trimmedLine || trimmedLine.startsWith('#')) {
-          continue;
-        }
-        ignorePatterns.push(trimmedLine);
-      }
-      logVerbose(`Loaded ${ignorePatterns.length} ignore patterns from .gitignore`);
-    } else {
-      logVerbose('No .gitignore file found');
-    }
-  } catch (error) {
-    console.error(`Error loading .gitignore: ${error.message}`);
-  }
-  
-  return ignorePatterns;
-}
-
-/**
- * Check if a file should be ignored based on .gitignore patterns
- */
-function isIgnored(filePath, ignorePatterns, baseDir) {
-  const relativePath = path.relative(baseDir, filePath);
-  logVerbose(`Checking ignore for ${relativePath}`);
-  
-  // Track whether the file should be ignored
-  let shouldIgnore = false;
-  
-  for (const pattern of ignorePatterns) {
-    // Handle negated patterns (those starting with !)
-    if (pattern.startsWith('!')) {
-      // If this is a negated pattern, it can override a previous match
-      const negatedPattern = pattern.substring(1);
-      if (minimatch(relativePath, negatedPattern)) {
-        // This file matches a negated pattern, so it should NOT be ignored
-        shouldIgnore = false;
-        logVerbose(`Un-ignoring ${relativePath} based on negated pattern ${pattern}`);
-      }
-    } else {
-      // Regular pattern
-      if (minimatch(relativePath, pattern)) {
-        // This file matches a pattern to ignore
-        shouldIgnore = true;
-        logVerbose(`Ignoring ${relativePath} based on pattern ${pattern}`);
-      }
-    }
-  }
-  
-  return shouldIgnore;
-}
-
 /**
  * Check if a file potentially contains JSX components
  */
@@ -114,9 +55,9 @@ function findPrecedingComment(text, componentStart) {
   const commentStartIndex = preComponent.lastIndexOf('/**', commentEndIndex);
   if (commentStartIndex === -1) return null;
   
-  // Check if there's only whitespace and newlines between the comment and component
+  // Check if there's only whitespace, newlines and an export keyword between the comment and component
   const betweenText = preComponent.substring(commentEndIndex + 2).trim();
-  if (betweenText !== '') return null;
+  if (!/^(export(\s+default)?)?$/.test(betweenText)) return null;
   
   return {
     comment: preComponent.substring(commentStartIndex, commentEndIndex + 2),
@@ -125,6 +66,38 @@ function findPrecedingComment(text, componentStart) {
   };
 }
 
+/**
+ * Link sub-components and the parent components that own them
+ *
+ * Sub-components declared in place (Card.Header = () => ...) already carry
+ * their parent's name; aliases (Card.Header = Header) mark an existing
+ * component as the sub-component. Parents defined in another file keep a
+ * null id.
+ * @param {Array<Object>} components - Components of one file, updated in place
+ * @param {Array<Object>} aliases - { parentName, name, target } for each alias assignment
+ */
+function linkSubComponents(components, aliases) {
+  const findTopLevel = name => components.find(component => component.name === name && !component.parent);
+  const aliasNames = new Map();
+  
+  for (const { parentName, name, target } of aliases) {
+    const component = findTopLevel(target);
+    if (component) {
+      component.parent = { name: parentName, id: null };
+      aliasNames.set(component, name);
+    }
+  }
+  
+  for (const component of components) {
+    if (!component.parent) continue;
+    const parent = findTopLevel(component.parent.name);
+    if (parent) {
+      component.parent.id = parent.uniqueId;
+      parent.subComponents.push({ name: aliasNames.get(component) || component.name, id: component.uniqueId });
+    }
+  }
+}
+
 /**
  * Extract components from a file
  */
@@ -133,12 +106,13 @@ function extractComponentsFromFile(filePath, fileContent, relativePath) {
   
   // Try to parse the file
   let ast;
+  const extension = path.extname(filePath).toLowerCase();
+  const isTypeScript = extension === '.ts' || extension === '.tsx';
   try {
     // Handle JSX and TypeScript
-    const extension = path.extname(filePath).toLowerCase();
     const plugins = ['jsx'];
     
-    if (extension === '.ts' || extension === '.tsx') {
+    if (isTypeScript) {
       plugins.push('typescript');
     }
     
@@ -148,15 +122,25 @@ function extractComponentsFromFile(filePath, fileContent, relativePath) {
     
     ast = babylon.parse(fileContent, {
       sourceType: 'module',
-      plugins: plugins
+      plugins: plugins,
+      tokens: true
     });
   } catch (parseError) {
-    logVerbose(`Failed to parse ${relativePath}: ${parseError.message}`);
+    logDebug(`Failed to parse ${relativePath}: ${parseError.message}`);
     return components;
   }
 
+  // Props assigned outside the component, e.g. Button.propTypes = {...}
+  const staticProps = {};
+
+  // Local name -> exported name ('default' for the default export)
+  const exportedNames = {};
+
+  // Sub-components assigned from an existing component, e.g. Card.Header = Header
+  const subComponentAliases = [];
+
   // Function to handle component extraction
-  function addComponent(name, startNode, endNode, type) {
+  function addComponent(name, startNode, endNode, type, propsPath, parentName = null) {
     const startPos = startNode.start;
     const endPos = endNode.end;
     
@@ -173,6 +157,12 @@ function extractComponentsFromFile(filePath, fileContent, relativePath) {
     // Include file path and location info in the ID
     const uniqueId = `${name}_${relativePath.replace(/[^a-zA-Z0-9]/g, '_')}_${location.line}_${location.column}`;
     
+    // Hooks take arguments rather than props
+    const isHook = type === 'CustomHook';
+    
+    // Resolve the TypeScript props type, following local and imported declarations
+    const propsType = isTypeScript && !isHook ? resolveComponentPropsType(propsPath, filePath, fileContent, ast) : null;
+    
     // Add to component list
     components.push({
       name,
@@ -180,79 +170,211 @@ function extractComponentsFromFile(filePath, fileContent, relativePath) {
       file: relativePath,
       filePath, // Store the absolute path
       code: componentCode,
+      codeWithoutComments: getCodeWithoutComments(fileContent, ast.tokens, startPos, endPos),
       location,
       startPos,
       endPos,
       existingComment: existingComment ? existingComment.comment : null,
       commentStart: existingComment ? existingComment.start : null, 
       commentEnd: existingComment ? existingComment.end : null,
-      type
+      type,
+      props: isHook ? [] : mergeProps(propsType ? propsType.props : [], collectComponentProps(propsPath, fileContent)),
+      propsType: propsType ? { name: propsType.typeName, unresolved: propsType.unresolved } : null,
+      hook: isHook ? collectHookInfo(propsPath, fileContent) : null,
+      parent: parentName ? { name: parentName, id: null } : null,
+      subComponents: []
     });
   }
   
+  // Name an anonymous default export after the file, unless the file already declares that name,
+  // e.g. a Button.jsx with both `export function Button` and `export default () => ...` gives ButtonDefault
+  function nameDefaultExport(path) {
+    const name = getDefaultExportName(relativePath);
+    return path.scope.getProgramParent().hasBinding(name) ? `${name}Default` : name;
+  }
+  
   // Use babel traverse to find components
   traverse(ast, {
-    // Function components
+    // Function components: function Button() { return <button /> }
     FunctionDeclaration(path) {
       const { node } = path;
-      if (node.id && t.isIdentifier(node.id) && /^[A-Z]/.test(node.id.name)) {
-        addComponent(node.id.name, node, node, 'FunctionComponent');
+      if (!node.id) {
+        // export default function () {}, handled with the other default exports
+        return;
+      }
+      if (isComponentName(node.id.name) && returnsJSX(path)) {
+        addComponent(node.id.name, node, node, COMPONENT_TYPES.function, path);
+      } else if (isHookName(node.id.name)) {
+        addComponent(node.id.name, node, node, 'CustomHook', path);
       }
     },
     
-    // Arrow function and styled components
+    // Arrow function, function expression, wrapped, lazy and styled components
     VariableDeclarator(path) {
       const { node } = path;
+      if (!t.isIdentifier(node.id) || !node.init) return;
       
-      if (node.id && t.isIdentifier(node.id) && /^[A-Z]/.test(node.id.name)) {
-        const name = node.id.name;
-        const init = node.init;
-        let type = 'Component';
-        let isComponent = false;
-        
-        // Check component type
-        if (t.isArrowFunctionExpression(init)) {
-          type = 'ArrowFunctionComponent';
-          isComponent = true;
-        } else if (t.isCallExpression(init)) {
-          const callee = init.callee;
-          if (callee) {
-            if (t.isIdentifier(callee) && 
-                ['styled', 'memo', 'forwardRef'].includes(callee.name)) {
-              type = callee.name === 'styled' ? 'StyledComponent' : 'HOCComponent';
-              isComponent = true;
-            } else if (t.isMemberExpression(callee) && callee.property && 
-                      ['styled', 'memo', 'forwardRef'].includes(callee.property.name)) {
-              type = callee.property.name === 'styled' ? 'StyledComponent' : 'HOCComponent';
-              isComponent = true;
-            }
-          }
+      // Custom hooks: const useToggle = (initial) => {...}
+      if (isHookName(node.id.name) &&
+          (t.isArrowFunctionExpression(node.init) || t.isFunctionExpression(node.init))) {
+        const declaration = path.findParent(p => p.isVariableDeclaration());
+        if (declaration && declaration.node) {
+          addComponent(node.id.name, declaration.node, declaration.node, 'CustomHook', path.get('init'));
         }
-        
-        if (isComponent) {
-          const declaration = path.findParent(p => p.isVariableDeclaration());
-          if (declaration && declaration.node) {
-            addComponent(name, declaration.node, declaration.node, type);
-          }
+        return;
+      }
+      
+      if (!isComponentName(node.id.name)) return;
+      
+      const detected = classifyComponentExpression(path.get('init'), hasComponentTypeAnnotation(node.id));
+      if (detected) {
+        const declaration = path.findParent(p => p.isVariableDeclaration());
+        if (declaration && declaration.node) {
+          addComponent(node.id.name, declaration.node, declaration.node, detected.type, detected.propsPath);
         }
       }
     },
     
-    // Class components
+    // Static sub-components of class components: static Panel = forwardRef(...)
+    ClassProperty(path) {
+      const { node } = path;
+      if (!node.static || node.computed || !t.isIdentifier(node.key) || !isComponentName(node.key.name) || !node.value) return;
+      
+      const classPath = path.parentPath.parentPath;
+      if (!classPath.isClass() || !classPath.node.superClass || !getClassComponentType(classPath.node.superClass)) return;
+      const parentName = classPath.node.id ? classPath.node.id.name : nameDefaultExport(classPath);
+      
+      if (t.isIdentifier(node.value)) {
+        subComponentAliases.push({ parentName, name: `${parentName}.${node.key.name}`, target: node.value.name });
+        return;
+      }
+      const detected = classifyComponentExpression(path.get('value'));
+      if (detected) {
+        addComponent(`${parentName}.${node.key.name}`, node, node, detected.type, detected.propsPath, parentName);
+      }
+    },
+    
+    // Class components, extending Component or PureComponent
     ClassDeclaration(path) {
       const { node } = path;
-      const superClass = node.superClass;
+      const type = node.superClass ? getClassComponentType(node.superClass) : null;
+      if (!type) return;
       
-      if (superClass && 
-          ((t.isIdentifier(superClass) && superClass.name === 'Component') ||
-          (t.isMemberExpression(superClass) && 
-            superClass.object.name === 'React' && 
-            superClass.property.name === 'Component'))) {
-        
-        addComponent(node.id.name, node, node, 'ClassComponent');
+      if (node.id) {
+        addComponent(node.id.name, node, node, type, path);
+      } else {
+        // export default class extends Component {}
+        const name = nameDefaultExport(path);
+        exportedNames[name] = 'default';
+        addComponent(name, node, node, type, path);
+      }
+    },
+
+    // export function Button() {}, export const Card = ..., export { Button as Btn }
+    ExportNamedDeclaration(path) {
+      const { declaration, specifiers } = path.node;
+      if (declaration && declaration.id && t.isIdentifier(declaration.id)) {
+        exportedNames[declaration.id.name] = declaration.id.name;
+      } else if (t.isVariableDeclaration(declaration)) {
+        for (const declarator of declaration.declarations) {
+          if (t.isIdentifier(declarator.id)) {
+            exportedNames[declarator.id.name] = declarator.id.name;
+          }
+        }
+      }
+      if (!path.node.source) {
+        for (const specifier of specifiers) {
+          if (t.isExportSpecifier(specifier)) {
+            const exported = t.isIdentifier(specifier.exported) ? specifier.exported.name : specifier.exported.value;
+            exportedNames[specifier.local.name] = exported;
+          }
+        }
+      }
+    },
+
+    // export default Button, export default function Button() {}, and anonymous default exports
+    ExportDefaultDeclaration(path) {
+      const { declaration } = path.node;
+      if (t.isIdentifier(declaration)) {
+        exportedNames[declaration.name] = 'default';
+        return;
+      }
+      if (declaration.id && t.isIdentifier(declaration.id)) {
+        exportedNames[declaration.id.name] = 'default';
+        return;
+      }
+      
+      const declarationPath = path.get('declaration');
+      
+      // export default memo(Button) documents Button itself
+      if (declarationPath.isCallExpression()) {
+        const [wrapped] = declaration.arguments;
+        if (t.isIdentifier(wrapped) && ['memo', 'forwardRef'].includes(getCalleeName(declaration.callee))) {
+          exportedNames[wrapped.name] = 'default';
+          return;
+        }
+      }
+      
+      let detected = null;
+      if (declarationPath.isFunctionDeclaration()) {
+        // export default function () {}
+        detected = returnsJSX(declarationPath)
+          ? { type: COMPONENT_TYPES.anonymousFunction, propsPath: declarationPath, innerName: null }
+          : null;
+      } else if (declarationPath.isArrowFunctionExpression()) {
+        // export default () => <div />
+        detected = returnsJSX(declarationPath)
+          ? { type: COMPONENT_TYPES.anonymousArrowFunction, propsPath: declarationPath, innerName: null }
+          : null;
+      } else if (!declarationPath.isClassDeclaration()) {
+        // export default memo(function Card() {}), export default styled.div`...`
+        detected = classifyComponentExpression(declarationPath);
+      }
+      
+      if (detected) {
+        const name = detected.innerName || nameDefaultExport(path);
+        exportedNames[name] = 'default';
+        addComponent(name, declaration, declaration, detected.type, detected.propsPath);
+      }
+    },
+
+    // Component.propTypes / Component.defaultProps assignments and sub-components: Card.Header = ...
+    AssignmentExpression(path) {
+      const assignment = readStaticPropAssignment(path.node, fileContent);
+      if (assignment) {
+        const existing = staticProps[assignment.componentName] || [];
+        staticProps[assignment.componentName] = mergeProps(existing, assignment.props);
+        return;
+      }
+      
+      const { left, right } = path.node;
+      if (!path.parentPath.isExpressionStatement() || !t.isMemberExpression(left) || left.computed ||
+          !t.isIdentifier(left.object) || !isComponentName(left.object.name) ||
+          !t.isIdentifier(left.property) || !isComponentName(left.property.name)) return;
+      
+      const parentName = left.object.name;
+      const name = `${parentName}.${left.property.name}`;
+      if (t.isIdentifier(right)) {
+        subComponentAliases.push({ parentName, name, target: right.name });
+        return;
+      }
+      const detected = classifyComponentExpression(path.get('right'));
+      if (detected) {
+        const statement = path.parentPath.node;
+        addComponent(name, statement, statement, detected.type, detected.propsPath, parentName);
       }
     }
   });
+
+  // Merge statically assigned props into their components and record how they are exported
+  for (const component of components) {
+    if (staticProps[component.name]) {
+      component.props = mergeProps(staticProps[component.name], component.props);
+    }
+    component.exportName = exportedNames[component.name] || null;
+  }
+  
+  linkSubComponents(components, subComponentAliases);
   
   // Sort components by their position in the file (ascending)
   components.sort((a, b) => a.startPos - b.startPos);
@@ -263,31 +385,26 @@ function extractComponentsFromFile(filePath, fileContent, relativePath) {
 /**
  * Process a file to extract components
  */
-async function processFile(filePath, ignorePatterns, baseDir) {
+async function processFile(filePath, baseDir) {
   try {
-    // Skip ignored files
-    if (isIgnored(filePath, ignorePatterns, baseDir)) {
-      return [];
-    }
-    
     // Skip non-JSX files
     if (!isJSXFile(filePath)) {
       return [];
     }
     
     const relativePath = path.relative(baseDir, filePath);
-    logVerbose(`Processing ${relativePath}`);
+    logDebug(`Processing ${relativePath}`);
     
     // Read file content
     let fileContent;
     try {
-      fileContent = await readFile(filePath, 'utf8');
+      fileContent = await getFileSystem().promises.readFile(filePath, 'utf8');
     } catch (readError) {
       try {
         // Try with latin1 encoding if utf8 fails
-        fileContent = await readFile(filePath, 'latin1');
+        fileContent = await getFileSystem().promises.readFile(filePath, 'latin1');
       } catch (err) {
-        console.error(`Error reading file ${relativePath}: ${err.message}`);
+        logError(`Error reading file ${relativePath}: ${err.message}`);
         return [];
       }
     }
@@ -296,14 +413,14 @@ async function processFile(filePath, ignorePatterns, baseDir) {
     const components = extractComponentsFromFile(filePath, fileContent, relativePath);
     
     if (components.length > 0) {
-      logVerbose(`Found ${components.length} components in ${relativePath}: ${components.map(c => c.name).join(', ')}`);
+      logDebug(`Found ${components.length} components in ${relativePath}: ${components.map(c => c.name).join(', ')}`);
     }
     
     return components;
   } catch (error) {
     // log full error message
-    console.error(`Error processing file ${filePath}: ${error.message}`);
-    console.error(error);
+    logError(`Error processing file ${filePath}: ${error.message}`);
+    logDebug(error.stack);
     return [];
   }
 }
@@ -311,30 +428,31 @@ async function processFile(filePath, ignorePatterns, baseDir) {
 /**
  * Recursively scan directory for React components
  */
-async function scanDirectory(dir, ignorePatterns, baseDir) {
+async function scanDirectory(dir, ignoreFilter, baseDir) {
   const componentsByFile = {};
   
   try {
-    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    const entries = getFileSystem().readdirSync(dir, { withFileTypes: true });
+    // Patterns from this directory's ignore files apply on top of the ones above it
+    const ignoreRules = ignoreFilter.getRules(dir);
     
     for (const entry of entries) {
       const fullPath = path.join(dir, entry.name);
       
       // Skip ignored paths
-      if (isIgnored(fullPath, ignorePatterns, baseDir)) {
-        logVerbose(`Ignoring ${fullPath}`);
+      if (ignoreFilter.matches(ignoreRules, fullPath, entry.isDirectory())) {
+        logTrace(`Ignoring ${fullPath}`);
         continue;
       }
-      // ignore all top level .folders 
-      logVerbose(`Scanning ${fullPath}`);
+      logTrace(`Scanning ${fullPath}`);
       if (entry.isDirectory()) {
         // Recursive call for directories
-        const subdirComponents = await scanDirectory(fullPath, ignorePatterns, baseDir);
+        const subdirComponents = await scanDirectory(fullPath, ignoreFilter, baseDir);
         // Merge results
         Object.assign(componentsByFile, subdirComponents);
       } else if (entry.isFile()) {
         // Process individual files
-        const components = await processFile(fullPath, ignorePatterns, baseDir);
+        const components = await processFile(fullPath, baseDir);
         
         if (components.length > 0) {
           componentsByFile[fullPath] = components;
@@ -342,31 +460,111 @@ async function scanDirectory(dir, ignorePatterns, baseDir) {
       }
     }
   } catch (error) {
-    console.error(`Error scanning directory ${dir}: ${error.message}`);
+    logError(`Error scanning directory ${dir}: ${error.message}`);
+  }
+  
+  return componentsByFile;
+}
+
+/**
+ * Check if a component record is one of the requested kinds (components, hooks)
+ */
+function matchesKinds(component, kinds) {
+  if (!kinds || kinds.length === 0) return true;
+  const kind = component.type === 'CustomHook' ? 'hooks' : 'components';
+  return kinds.includes(kind);
+}
+
+/**
+ * Keep only included files and the requested kinds
+ */
+function filterComponents(componentsByFile, filterOptions) {
+  for (const [filePath, components] of Object.entries(componentsByFile)) {
+    if (!isFileIncluded(filePath, filterOptions)) {
+      logDebug(`Skipping ${filePath}: not matched by include/exclude`);
+      delete componentsByFile[filePath];
+      continue;
+    }
+    const { kinds } = resolveFileOptions(filterOptions, filePath);
+    const kept = components.filter(component => matchesKinds(component, kinds));
+    if (kept.length > 0) {
+      componentsByFile[filePath] = kept;
+    } else {
+      delete componentsByFile[filePath];
+    }
   }
   
   return componentsByFile;
 }
 
+/**
+ * Get the directory components are scanned from and reported relative to
+ */
+function getSourceDir(projectDir, options) {
+  return options.srcDir ? path.resolve(projectDir, options.srcDir) : projectDir;
+}
+
 /**
  * Main function to extract components from a project
+ *
+ * Scans the project directory as given, or options.srcDir inside it, skipping
+ * paths ignored by .gitignore and .react-docaiignore files.
  */
 async function extractComponentsFromProject(projectDir, options = {}) {
-  const ignorePatterns = await loadGitignore(projectDir);
+  const ignoreFilter = createIgnoreFilter(projectDir);
+  
+  // Component file paths are reported relative to the source directory
+  const sourceDir = getSourceDir(projectDir, options);
+  const componentsByFile = await scanDirectory(sourceDir, ignoreFilter, sourceDir);
+  
+  // Include/exclude globs and overrides are relative to the project root
+  return filterComponents(componentsByFile, { projectDir, ...options });
+}
+
+/**
+ * Extract components from a list of files instead of scanning the whole project
+ *
+ * Files outside the source directory, ignored, excluded or without JS/TS
+ * extensions are skipped, so a pre-commit hook can pass every changed file.
+ * @param {string} projectDir - Project directory
+ * @param {Array<string>} filePaths - File paths, absolute or relative to the working directory
+ * @param {Object} [options] - Run options
+ * @returns {Promise<Object>} Components keyed by file path
+ */
+async function extractComponentsFromFiles(projectDir, filePaths, options = {}) {
+  const fs = getFileSystem();
+  const ignoreFilter = createIgnoreFilter(projectDir);
+  const sourceDir = getSourceDir(projectDir, options);
+  const componentsByFile = {};
   
-  // Scan the project directory for components
-  // if project directory does not end with a src folder, add src to the end of the project directory
-  if (!projectDir.endsWith('src')) {
-    projectDir = projectDir + '/src';
+  for (const filePath of new Set(filePaths.map(file => path.resolve(file)))) {
+    const relativePath = path.relative(sourceDir, filePath);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      logDebug(`Skipping ${filePath}: outside ${sourceDir}`);
+      continue;
+    }
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      logWarn(`Skipping ${filePath}: not a file`);
+      continue;
+    }
+    if (ignoreFilter.ignores(filePath)) {
+      logDebug(`Skipping ${filePath}: ignored`);
+      continue;
+    }
+    
+    const components = await processFile(filePath, sourceDir);
+    if (components.length > 0) {
+      componentsByFile[filePath] = components;
+    }
   }
-  const componentsByFile = await scanDirectory(projectDir, ignorePatterns, projectDir);
   
-  // Return components organized by file
-  return componentsByFile;
+  return filterComponents(componentsByFile, { projectDir, ...options });
 }
 
 export {
   extractComponentsFromProject,
+  extractComponentsFromFiles,
+  extractComponentsFromFile,
   findPrecedingComment,
   getLineAndColumn,
   isJSXFile,
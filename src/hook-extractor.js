@@ -0,0 +1,158 @@
+// lib/hook-extractor.js
+
+import t from '@babel/types';
+
+import { inferTypeFromValue, getNodeSource } from './prop-extractor.js';
+
+/**
+ * Check if a name follows the custom hook naming convention, e.g. useWindowSize
+ */
+function isHookName(name) {
+  return /^use[A-Z0-9]/.test(name);
+}
+
+/**
+ * Get the TypeScript annotation of a parameter as source text
+ */
+function getAnnotationSource(node, fileContent) {
+  if (!node || !node.typeAnnotation) return null;
+  return getNodeSource(node.typeAnnotation.typeAnnotation, fileContent);
+}
+
+/**
+ * Describe a single hook parameter
+ */
+function readParam(param, index, fileContent) {
+  const info = {
+    name: `arg${index}`,
+    type: getAnnotationSource(param, fileContent),
+    defaultValue: null,
+    properties: []
+  };
+
+  if (t.isAssignmentPattern(param)) {
+    info.defaultValue = getNodeSource(param.right, fileContent);
+    info.type = info.type || getAnnotationSource(param.left, fileContent) || inferTypeFromValue(param.right);
+    param = param.left;
+  }
+
+  if (t.isIdentifier(param)) {
+    info.name = param.name;
+  } else if (t.isRestElement(param) && t.isIdentifier(param.argument)) {
+    info.name = `...${param.argument.name}`;
+  } else if (t.isObjectPattern(param)) {
+    // Destructured options object: useFetch({ url, method = 'GET' })
+    info.name = 'options';
+    info.type = info.type || 'Object';
+    for (const property of param.properties) {
+      if (!t.isObjectProperty(property) || !t.isIdentifier(property.key)) continue;
+      info.properties.push({
+        name: property.key.name,
+        defaultValue: t.isAssignmentPattern(property.value)
+          ? getNodeSource(property.value.right, fileContent)
+          : null
+      });
+    }
+  }
+
+  return info;
+}
+
+/**
+ * Describe what a hook returns from its final return statement
+ */
+function readReturnShape(functionPath, fileContent) {
+  const { node } = functionPath;
+  let returned = null;
+
+  if (t.isArrowFunctionExpression(node) && !t.isBlockStatement(node.body)) {
+    returned = node.body;
+  } else {
+    functionPath.traverse({
+      // Returns inside nested functions belong to those functions
+      Function(innerPath) {
+        innerPath.skip();
+      },
+      ReturnStatement(returnPath) {
+        if (returnPath.node.argument) {
+          returned = returnPath.node.argument;
+        }
+      }
+    });
+  }
+
+  if (!returned) {
+    return { kind: 'none', items: [], source: null };
+  }
+
+  if (t.isTSAsExpression(returned)) {
+    returned = returned.expression;
+  }
+
+  if (t.isArrayExpression(returned)) {
+    return {
+      kind: 'tuple',
+      items: returned.elements.map(el => getNodeSource(el, fileContent)),
+      source: getNodeSource(returned, fileContent)
+    };
+  }
+
+  if (t.isObjectExpression(returned)) {
+    const items = returned.properties.map(property => {
+      if (t.isSpreadElement(property)) return `...${getNodeSource(property.argument, fileContent)}`;
+      if (t.isIdentifier(property.key)) return property.key.name;
+      if (t.isStringLiteral(property.key)) return property.key.value;
+      return getNodeSource(property.key, fileContent);
+    });
+    return { kind: 'object', items, source: getNodeSource(returned, fileContent) };
+  }
+
+  return { kind: 'value', items: [], source: getNodeSource(returned, fileContent) };
+}
+
+/**
+ * List the React hooks called directly or through React.*, in call order
+ */
+function readHooksUsed(functionPath) {
+  const hooks = [];
+
+  functionPath.traverse({
+    CallExpression(callPath) {
+      const { callee } = callPath.node;
+      let name = null;
+      if (t.isIdentifier(callee)) {
+        name = callee.name;
+      } else if (t.isMemberExpression(callee) && t.isIdentifier(callee.property)) {
+        name = callee.property.name;
+      }
+      if (name && isHookName(name) && !hooks.includes(name)) {
+        hooks.push(name);
+      }
+    }
+  });
+
+  return hooks;
+}
+
+/**
+ * Collect parameters, return shape and hooks used for a custom hook
+ * @param {Object} functionPath - Babel path of the hook function
+ * @param {string} fileContent - Source of the file
+ * @returns {Object} { params, returns, hooksUsed }
+ */
+function collectHookInfo(functionPath, fileContent) {
+  if (!functionPath || !functionPath.isFunction()) {
+    return { params: [], returns: { kind: 'none', items: [], source: null }, hooksUsed: [] };
+  }
+
+  return {
+    params: functionPath.node.params.map((param, index) => readParam(param, index, fileContent)),
+    returns: readReturnShape(functionPath, fileContent),
+    hooksUsed: readHooksUsed(functionPath)
+  };
+}
+
+export {
+  isHookName,
+  collectHookInfo
+};
@@ -0,0 +1,279 @@
+// Type declarations for the react-docai programmatic API
+
+export interface TokenUsage {
+  promptTokens: number;
+  completionTokens: number;
+}
+
+export interface CompletionRequest {
+  system: string;
+  prompt: string;
+  temperature?: number;
+  maxTokens?: number;
+  json?: boolean;
+}
+
+export interface CompletionResponse {
+  content: string;
+  usage: TokenUsage | null;
+}
+
+/** An LLM backend; implement this to inject your own */
+export interface Provider {
+  name: string;
+  model: string;
+  complete(request: CompletionRequest): Promise<CompletionResponse>;
+}
+
+export type ProviderName = 'openai' | 'openai-compatible' | 'anthropic' | 'mock';
+
+export interface ProviderOptions {
+  provider?: ProviderName;
+  apiKey?: string;
+  baseUrl?: string;
+  model?: string;
+}
+
+export type ComponentType =
+  | 'FunctionComponent'
+  | 'FunctionExpressionComponent'
+  | 'ArrowFunctionComponent'
+  | 'AnonymousFunctionComponent'
+  | 'AnonymousArrowFunctionComponent'
+  | 'MemoComponent'
+  | 'ForwardRefComponent'
+  | 'MemoForwardRefComponent'
+  | 'LazyComponent'
+  | 'ClassComponent'
+  | 'PureClassComponent'
+  | 'StyledComponent'
+  | 'CustomHook';
+
+export interface PropInfo {
+  name: string;
+  type?: string | null;
+  required?: boolean;
+  defaultValue?: string | null;
+  description?: string | null;
+}
+
+/** A component as found by the extractor */
+export interface Component {
+  name: string;
+  uniqueId: string;
+  /** Path relative to the project directory */
+  file: string;
+  /** Absolute path */
+  filePath: string;
+  code: string;
+  /** The code's tokens without comments, what the @docgen-hash fingerprint is computed from */
+  codeWithoutComments: string;
+  location: { line: number; column: number };
+  startPos: number;
+  endPos: number;
+  existingComment: string | null;
+  commentStart: number | null;
+  commentEnd: number | null;
+  type: ComponentType;
+  props: PropInfo[];
+  /** The props type and the type sources it could not resolve, e.g. ["React.HTMLAttributes<HTMLButtonElement>"] */
+  propsType: { name: string; unresolved: string[] } | null;
+  hook: object | null;
+  exportName?: string | null;
+  /** The component that owns this one as a static member, e.g. Card for Card.Header */
+  parent: { name: string; id: string | null } | null;
+  /** Static members that are components, e.g. Card.Header and Card.Body */
+  subComponents: Array<{ name: string; id: string }>;
+}
+
+export type ComponentsByFile = Record<string, Component[]>;
+
+/** What generateDocStrings() produced for one component */
+export interface DocStringResult {
+  docstring: string | null;
+  skipped: boolean;
+  skipReason: string | null;
+  error: string | null;
+  validationErrors: string[];
+  usage: ({ model: string; requests: number } & TokenUsage) | null;
+  cached: boolean;
+  budgetExceeded?: boolean;
+}
+
+export type DocStrings = Record<string, DocStringResult>;
+
+export interface ModelUsage {
+  model: string;
+  requests: number;
+  promptTokens: number;
+  completionTokens: number;
+  /** Estimated cost in USD, or null when the model's price is unknown */
+  cost: number | null;
+}
+
+export interface ModelPrice {
+  /** USD per million prompt tokens */
+  input: number;
+  /** USD per million completion tokens */
+  output: number;
+}
+
+/** The subset of Node's fs that documentProject() reads and writes through */
+export interface FileSystem {
+  existsSync(path: string): boolean;
+  statSync(path: string): { isFile(): boolean; isDirectory(): boolean };
+  readFileSync(path: string, encoding: string): string;
+  readdirSync(path: string, options: { withFileTypes: true }): Array<{ name: string; isFile(): boolean; isDirectory(): boolean }>;
+  promises: {
+    readFile(path: string, encoding: string): Promise<string>;
+    writeFile(path: string, content: string, encoding?: string): Promise<void>;
+    /** Creates the cache directory */
+    mkdir(path: string, options: { recursive: true }): Promise<unknown>;
+  };
+}
+
+export type ProgressEvent =
+  | { type: 'phase'; phase: 'extract' | 'generate' | 'review' | 'write' }
+  | { type: 'extracted'; files: number; components: number }
+  | { type: 'component'; id: string; name: string; file: string; cached: boolean; error: string | null; completed: number; total: number }
+  | { type: 'file'; file: string; modified: boolean; completed: number; total: number }
+  | { type: 'done'; result: DocumentProjectResult };
+
+export interface DocumentProjectOptions extends Omit<ProviderOptions, 'provider'> {
+  /** A provider object, a provider name to set one up, or null for basic docstrings without an LLM */
+  provider?: Provider | ProviderName | null;
+  /** Only document these files instead of scanning the project */
+  files?: string[];
+  /** Directory to scan, defaults to the project directory */
+  srcDir?: string;
+  include?: string[];
+  exclude?: string[];
+  kinds?: string[];
+  /** Report what would change without writing any file */
+  dryRun?: boolean;
+  /** Write a unified diff to this file instead of modifying the sources */
+  patchFile?: string;
+  skipExisting?: boolean;
+  updateExisting?: boolean;
+  updateStale?: boolean;
+  mergeExisting?: boolean;
+  /** Requests in flight at once */
+  concurrency?: number;
+  /** Requests per minute, 0 for no limit */
+  rateLimit?: number;
+  tokensPerMinute?: number;
+  maxRetries?: number;
+  maxTokens?: number;
+  maxCost?: number;
+  prices?: Record<string, ModelPrice>;
+  /** Cache directory; applies to the whole process */
+  cacheDir?: string;
+  /** Set to false to ignore cached docstrings; applies to the whole process */
+  cache?: boolean;
+  templates?: Record<string, string>;
+  overrides?: object[];
+  styleGuide?: string;
+  promptVersion?: string;
+  validate?: boolean;
+  validationRetries?: number;
+  /** File system to read and write through instead of Node's fs */
+  fs?: FileSystem;
+  /** Called before any file is written; resolves to the docstrings to write */
+  review?: (componentsByFile: ComponentsByFile, docStrings: DocStrings, provider: Provider | null) => Promise<DocStrings>;
+  onProgress?: (event: ProgressEvent) => void;
+}
+
+export type ComponentStatus = 'added' | 'updated' | 'merged' | 'unchanged' | 'skipped' | 'failed';
+
+export interface ComponentResult {
+  id: string;
+  name: string;
+  type: ComponentType;
+  /** Absolute path */
+  filePath: string;
+  /** Path relative to the project directory */
+  file: string;
+  line: number;
+  /** Name of the owning component, for sub-components such as Card.Header */
+  parent: string | null;
+  /** What happened, or would happen in a dry run, to the component's docstring */
+  status: ComponentStatus;
+  reason: string | null;
+  docstring: string | null;
+  error: string | null;
+  validationErrors: string[];
+  cached: boolean;
+  tokens: { requests: number; prompt: number; completion: number } | null;
+}
+
+export interface DocumentProjectResult {
+  projectDir: string;
+  provider: { name: string; model: string } | null;
+  /** Whether files were left untouched (dryRun or patchFile) */
+  dryRun: boolean;
+  components: ComponentResult[];
+  files: Array<{ filePath: string; modified: boolean }>;
+  summary: {
+    documented: number;
+    skipped: number;
+    failed: number;
+    filesProcessed: number;
+    filesModified: number;
+  };
+  usage: ModelUsage[];
+  /** Raw extractor output, e.g. for buildManifest() */
+  componentsByFile: ComponentsByFile;
+  /** Raw generator output, e.g. for buildManifest() */
+  docStrings: DocStrings;
+}
+
+export function documentProject(projectDir: string, options?: DocumentProjectOptions): Promise<DocumentProjectResult>;
+
+export function extractComponentsFromProject(projectDir: string, options?: Partial<DocumentProjectOptions>): Promise<ComponentsByFile>;
+
+export function extractComponentsFromFiles(projectDir: string, filePaths: string[], options?: Partial<DocumentProjectOptions>): Promise<ComponentsByFile>;
+
+export function generateDocStrings(componentsByFile: ComponentsByFile, provider: Provider | null, options?: object): Promise<DocStrings>;
+
+export function setupProvider(options?: ProviderOptions): Provider | null;
+
+export function createOpenAIProvider(config: { name?: string; apiKey: string; baseUrl?: string; model?: string }): Provider;
+
+export function createAnthropicProvider(config: { apiKey: string; baseUrl?: string; model?: string }): Provider;
+
+export function createMockProvider(config?: { model?: string; respond?: (request: CompletionRequest) => string | Promise<string> }): Provider & { calls: CompletionRequest[] };
+
+export function buildManifest(componentsByFile: ComponentsByFile, docStrings: DocStrings, projectDir: string): object;
+
+export type LogLevel = 'silent' | 'error' | 'warn' | 'info' | 'debug' | 'trace';
+
+/** Set up the logger every module writes through; applies to the whole process */
+export function initLogger(options?: { level?: LogLevel; format?: 'text' | 'json'; stderr?: boolean } | boolean): void;
+
+export interface IgnoreFilter {
+  /** Check a path, including whether one of its parent directories is ignored */
+  ignores(path: string, isDirectory?: boolean): boolean;
+}
+
+/** Read .gitignore and .react-docaiignore files from the repository root down, with git's semantics */
+export function createIgnoreFilter(rootDir: string): IgnoreFilter;
+
+/** Check a file against gitignore-style patterns relative to baseDir, without reading any ignore file */
+export function isIgnored(filePath: string, ignorePatterns: string[], baseDir: string): boolean;
+
+declare const api: {
+  documentProject: typeof documentProject;
+  extractComponentsFromProject: typeof extractComponentsFromProject;
+  extractComponentsFromFiles: typeof extractComponentsFromFiles;
+  generateDocStrings: typeof generateDocStrings;
+  setupProvider: typeof setupProvider;
+  createOpenAIProvider: typeof createOpenAIProvider;
+  createAnthropicProvider: typeof createAnthropicProvider;
+  createMockProvider: typeof createMockProvider;
+  buildManifest: typeof buildManifest;
+  initLogger: typeof initLogger;
+  createIgnoreFilter: typeof createIgnoreFilter;
+  isIgnored: typeof isIgnored;
+};
+
+export default api;
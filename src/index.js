@@ -1,8 +1,37 @@
-import { extractComponentsFromProject } from './extractor.js';
+import { documentProject } from './document-project.js';
+import { extractComponentsFromProject, extractComponentsFromFiles } from './extractor.js';
 import { generateDocStrings } from './docstring-generator.js';
+import { setupProvider, createOpenAIProvider, createAnthropicProvider, createMockProvider } from './providers/index.js';
+import { buildManifest } from './manifest.js';
+import { initLogger } from './utils/logger.js';
+import { createIgnoreFilter, isIgnored } from './utils/ignore.js';
 
-export default {
+export {
+    documentProject,
     extractComponentsFromProject,
+    extractComponentsFromFiles,
     generateDocStrings,
+    setupProvider,
+    createOpenAIProvider,
+    createAnthropicProvider,
+    createMockProvider,
+    buildManifest,
+    initLogger,
+    createIgnoreFilter,
+    isIgnored,
+};
 
+export default {
+    documentProject,
+    extractComponentsFromProject,
+    extractComponentsFromFiles,
+    generateDocStrings,
+    setupProvider,
+    createOpenAIProvider,
+    createAnthropicProvider,
+    createMockProvider,
+    buildManifest,
+    initLogger,
+    createIgnoreFilter,
+    isIgnored,
 };
@@ -0,0 +1,168 @@
+// lib/interactive-review.js
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import readline from 'readline/promises';
+
+import { generateComponentDocString } from './docstring-generator.js';
+import { calculateComponentHash } from './utils/openai-utils.js';
+import { loadReviewDecision, saveReviewDecision } from './utils/cache.js';
+import { logWarn } from './utils/logger.js';
+
+/**
+ * Write a line of the review dialogue, which is shown whatever the log level
+ */
+function print(text) {
+  process.stdout.write(`${text}\n`);
+}
+
+/**
+ * Open a docstring in the user's editor and return the edited text
+ */
+function editInEditor(docstring, component) {
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const tempFile = path.join(os.tmpdir(), `react-docai-${process.pid}-${component.name}.js`);
+
+  fs.writeFileSync(tempFile, docstring, 'utf8');
+  try {
+    // Run through the shell so EDITOR values with arguments ("code --wait") work
+    const result = spawnSync(`${editor} "${tempFile}"`, { stdio: 'inherit', shell: true });
+    if (result.status !== 0) {
+      logWarn(`Editor exited with code ${result.status}, keeping the previous docstring.`);
+      return docstring;
+    }
+    return fs.readFileSync(tempFile, 'utf8').trim();
+  } finally {
+    fs.rmSync(tempFile, { force: true });
+  }
+}
+
+/**
+ * Check that an edited docstring is still a single JSDoc block
+ */
+function isValidDocString(docstring) {
+  return docstring.startsWith('/**') && docstring.endsWith('*/');
+}
+
+/**
+ * Ask the user what to do with one proposed docstring
+ * @returns {Promise<Object>} { action: 'accept'|'skip'|'quit', docstring }
+ */
+async function reviewComponent(rl, component, docstring, provider, position, options) {
+  let current = docstring;
+
+  for (;;) {
+    const { line, column } = component.location;
+    print(`\n[${position}] ${component.name} (${component.type}) - ${component.file}:${line}:${column}`);
+    print(current);
+
+    const answer = (await rl.question('[a]ccept, [s]kip, [e]dit, [r]egenerate, [q]uit? ')).trim().toLowerCase();
+
+    switch (answer) {
+      case 'a':
+      case 'accept':
+        return { action: 'accept', docstring: current };
+      case 's':
+      case 'skip':
+        return { action: 'skip', docstring: null };
+      case 'q':
+      case 'quit':
+        return { action: 'quit', docstring: null };
+      case 'e':
+      case 'edit': {
+        const edited = editInEditor(current, component);
+        if (isValidDocString(edited)) {
+          current = edited;
+        } else {
+          logWarn('Edited text must start with /** and end with */, keeping the previous docstring.');
+        }
+        break;
+      }
+      case 'r':
+      case 'regenerate': {
+        if (!provider) {
+          logWarn('Regeneration needs an LLM provider; only the basic docstring is available.');
+          break;
+        }
+        const hint = (await rl.question('Hint for the model (optional): ')).trim();
+        current = await generateComponentDocString(component, provider, hint, options);
+        break;
+      }
+      default:
+        print('Please answer a, s, e, r or q.');
+    }
+  }
+}
+
+/**
+ * Review generated docstrings one by one before they are written
+ *
+ * Decisions are remembered in the cache, keyed by the component code, so a
+ * rerun only asks about components that are new or have changed.
+ * @param {Object} componentsByFile - Components keyed by file path
+ * @param {Object} docStrings - Results from generateDocStrings, keyed by component ID
+ * @param {Object|null} provider - LLM provider used for regeneration
+ * @param {Object} [options] - Run options, so regeneration uses the same prompt templates
+ * @returns {Promise<Object>} Results in the same shape, with rejected docstrings marked skipped
+ */
+async function reviewDocStrings(componentsByFile, docStrings, provider, options = {}) {
+  if (!process.stdin.isTTY) {
+    throw new Error('--interactive requires a terminal');
+  }
+
+  const reviewed = { ...docStrings };
+  const pending = Object.values(componentsByFile)
+    .flat()
+    .filter(component => {
+      const result = docStrings[component.uniqueId];
+      return result && result.docstring && !result.skipped;
+    });
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  let quit = false;
+
+  try {
+    for (const [index, component] of pending.entries()) {
+      const result = docStrings[component.uniqueId];
+      const hash = calculateComponentHash(component.code);
+
+      if (quit) {
+        reviewed[component.uniqueId] = { ...result, docstring: null, skipped: true, skipReason: 'review was stopped' };
+        continue;
+      }
+
+      // Reuse the answer from a previous run
+      const remembered = await loadReviewDecision(hash);
+      if (remembered) {
+        reviewed[component.uniqueId] = remembered.action === 'accept'
+          ? { ...result, docstring: remembered.docstring }
+          : { ...result, docstring: null, skipped: true, skipReason: 'rejected in review' };
+        continue;
+      }
+
+      const decision = await reviewComponent(rl, component, result.docstring, provider, `${index + 1}/${pending.length}`, options);
+
+      if (decision.action === 'quit') {
+        // Leave this and the remaining components unanswered for the next run
+        quit = true;
+        reviewed[component.uniqueId] = { ...result, docstring: null, skipped: true, skipReason: 'review was stopped' };
+        continue;
+      }
+
+      await saveReviewDecision(hash, decision.action, decision.docstring);
+      reviewed[component.uniqueId] = decision.action === 'accept'
+        ? { ...result, docstring: decision.docstring }
+        : { ...result, docstring: null, skipped: true, skipReason: 'rejected in review' };
+    }
+  } finally {
+    rl.close();
+  }
+
+  return reviewed;
+}
+
+export {
+  reviewDocStrings
+};
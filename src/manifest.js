@@ -0,0 +1,149 @@
+// lib/manifest.js
+
+import fs from 'fs';
+import path from 'path';
+
+import { buildComponentPage, getComponentDocString } from './site-generator.js';
+import { getComponentFingerprint } from './utils/fingerprint.js';
+import { splitUnion, isLiteral } from './utils/type-utils.js';
+
+const writeFile = fs.promises.writeFile;
+
+// JSDoc types from the extractor mapped to react-docgen PropTypes names
+const PROP_TYPE_NAMES = {
+  string: 'string',
+  number: 'number',
+  boolean: 'bool',
+  Function: 'func',
+  Array: 'array',
+  Object: 'object',
+  symbol: 'symbol',
+  'React.ReactNode': 'node',
+  'React.ReactElement': 'element',
+  'React.ElementType': 'elementType',
+  '*': 'any'
+};
+
+/**
+ * Describe a PropTypes-style type the way react-docgen does
+ */
+function toPropType(type) {
+  if (PROP_TYPE_NAMES[type]) {
+    return { name: PROP_TYPE_NAMES[type] };
+  }
+
+  const elements = splitUnion(type);
+  if (elements.length > 1) {
+    // Unions of literals are PropTypes.oneOf([...])
+    if (elements.every(element => /^(['"]).*\1$|^-?\d/.test(element))) {
+      return { name: 'enum', value: elements.map(value => ({ value, computed: false })) };
+    }
+    return { name: 'union', value: elements.map(toPropType) };
+  }
+
+  const arrayMatch = type.match(/^Array<(.+)>$/);
+  if (arrayMatch) {
+    return { name: 'arrayOf', value: toPropType(arrayMatch[1]) };
+  }
+
+  return { name: 'custom', raw: type };
+}
+
+/**
+ * Describe a TypeScript type the way react-docgen does
+ */
+function toTsType(type) {
+  const elements = splitUnion(type);
+  if (elements.length > 1) {
+    return { name: 'union', raw: type, elements: elements.map(toTsType) };
+  }
+  if (/^[\w$.]+$/.test(type)) {
+    return { name: type };
+  }
+  return { name: 'signature', raw: type };
+}
+
+/**
+ * Describe one component in react-docgen's format, with this tool's extras under `reactDocai`
+ * @param {Object} component - Component record from the extractor
+ * @param {Object} docStrings - Results from generateDocStrings, keyed by component ID
+ * @returns {Object} Component documentation
+ */
+function buildComponentEntry(component, docStrings) {
+  const docstring = getComponentDocString(component, docStrings);
+  const page = buildComponentPage(component, docstring);
+  const isTypeScript = /\.tsx?$/.test(component.file);
+  const generated = docStrings && docStrings[component.uniqueId];
+
+  const props = {};
+  for (const prop of page.props) {
+    const entry = {
+      required: prop.required === true,
+      description: prop.description || ''
+    };
+    if (prop.type) {
+      entry[isTypeScript ? 'tsType' : 'type'] = isTypeScript ? toTsType(prop.type) : toPropType(prop.type);
+    }
+    if (prop.defaultValue != null) {
+      entry.defaultValue = { value: prop.defaultValue, computed: !isLiteral(prop.defaultValue) };
+    }
+    props[prop.name] = entry;
+  }
+
+  return {
+    description: page.description,
+    displayName: component.name,
+    methods: [],
+    props,
+    reactDocai: {
+      id: component.uniqueId,
+      type: component.type,
+      file: component.file,
+      exportName: component.exportName || null,
+      parent: component.parent ? component.parent.name : null,
+      subComponents: (component.subComponents || []).map(subComponent => subComponent.name),
+      location: component.location,
+      startPos: component.startPos,
+      endPos: component.endPos,
+      hash: getComponentFingerprint(component),
+      propsType: component.propsType || null,
+      hook: component.hook || null,
+      existingDocstring: component.existingComment,
+      generatedDocstring: generated && generated.docstring ? generated.docstring : null,
+      examples: page.examples
+    }
+  };
+}
+
+/**
+ * Build a react-docgen compatible manifest: component docs grouped by file
+ * @param {Object} componentsByFile - Components keyed by absolute file path
+ * @param {Object} docStrings - Results from generateDocStrings, keyed by component ID
+ * @param {string} projectDir - Project root, used for the file keys
+ * @returns {Object} Manifest keyed by file path relative to the project
+ */
+function buildManifest(componentsByFile, docStrings, projectDir) {
+  const manifest = {};
+
+  for (const [filePath, components] of Object.entries(componentsByFile)) {
+    const key = path.relative(projectDir, filePath).split(path.sep).join('/');
+    manifest[key] = components.map(component => buildComponentEntry(component, docStrings));
+  }
+
+  return manifest;
+}
+
+/**
+ * Write a manifest as formatted JSON
+ * @param {Object} manifest - Manifest from buildManifest
+ * @param {string} manifestPath - Destination file
+ */
+async function writeManifest(manifest, manifestPath) {
+  await fs.promises.mkdir(path.dirname(manifestPath), { recursive: true });
+  await writeFile(manifestPath, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+}
+
+export {
+  buildManifest,
+  writeManifest
+};
@@ -0,0 +1,103 @@
+// lib/prompt-templates.js
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+import { resolveFileOptions } from './config.js';
+
+// Values a template can reference as {{name}}
+const PLACEHOLDERS = ['name', 'type', 'file', 'code', 'props'];
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+// File contents by path, so each template is read once per run
+const fileCache = new Map();
+
+/**
+ * Read a template or style guide file
+ */
+function readPromptFile(filePath) {
+  if (!fileCache.has(filePath)) {
+    try {
+      fileCache.set(filePath, fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read prompt file ${filePath}: ${error.message}`);
+    }
+  }
+  return fileCache.get(filePath);
+}
+
+/**
+ * Check that a template only uses known placeholders
+ * @param {string} template - Template text
+ * @param {string} source - Template path, for error messages
+ * @throws {Error} When an unknown placeholder is used
+ */
+function checkPlaceholders(template, source) {
+  for (const [, name] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!PLACEHOLDERS.includes(name)) {
+      throw new Error(`Unknown placeholder {{${name}}} in ${source} (available: ${PLACEHOLDERS.map(p => `{{${p}}}`).join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Fill in a template's placeholders
+ * @param {string} template - Template text
+ * @param {Object} values - Values for name, type, file, code and props
+ * @returns {string} Prompt
+ */
+function renderTemplate(template, values) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+/**
+ * Read and check every template and style guide the run can use, so mistakes surface before any requests
+ * @param {Object} options - Run options with templates, overrides and styleGuide
+ * @throws {Error} When a file is missing or a template uses an unknown placeholder
+ */
+function validatePromptTemplates(options) {
+  const templateSets = [options.templates, ...(options.overrides || []).map(override => override.templates)];
+  for (const templates of templateSets) {
+    for (const templatePath of Object.values(templates || {})) {
+      checkPlaceholders(readPromptFile(templatePath), templatePath);
+    }
+  }
+  if (options.styleGuide) {
+    readPromptFile(options.styleGuide);
+  }
+}
+
+/**
+ * Get the prompt customizations that apply to a component
+ *
+ * The version is empty for the built-in prompt, so existing cache entries stay
+ * valid until a template, the style guide or the explicit prompt version changes.
+ * @param {Object} component - Component record from the extractor
+ * @param {Object} options - Run options
+ * @returns {Object} { template, styleGuide, version }
+ */
+function getPromptTemplate(component, options = {}) {
+  const { templates = {}, styleGuide, promptVersion } = resolveFileOptions(options, component.filePath);
+  const templatePath = component.type === 'CustomHook' ? templates.hook : templates.component;
+
+  const template = templatePath ? readPromptFile(templatePath) : null;
+  const styleGuideText = styleGuide ? readPromptFile(styleGuide).trim() : '';
+
+  let version = '';
+  if (template || styleGuideText || promptVersion) {
+    version = crypto
+      .createHash('md5')
+      .update(`${promptVersion || ''}\0${template || ''}\0${styleGuideText}`)
+      .digest('hex')
+      .substring(0, 12);
+  }
+
+  return { template, styleGuide: styleGuideText, version };
+}
+
+export {
+  PLACEHOLDERS,
+  renderTemplate,
+  validatePromptTemplates,
+  getPromptTemplate
+};
@@ -0,0 +1,391 @@
+// lib/prop-extractor.js
+
+import t from '@babel/types';
+
+/**
+ * Map of PropTypes validators to JSDoc types
+ */
+const PROP_TYPE_MAP = {
+  string: 'string',
+  number: 'number',
+  bool: 'boolean',
+  func: 'Function',
+  array: 'Array',
+  object: 'Object',
+  symbol: 'symbol',
+  node: 'React.ReactNode',
+  element: 'React.ReactElement',
+  elementType: 'React.ElementType',
+  any: '*'
+};
+
+/**
+ * Create an empty prop record
+ */
+function createProp(name) {
+  return {
+    name,
+    type: null,
+    required: null,
+    defaultValue: null,
+    description: null
+  };
+}
+
+/**
+ * Get the source text of a node
+ */
+function getNodeSource(node, fileContent) {
+  if (!node || node.start == null || node.end == null) return null;
+  return fileContent.substring(node.start, node.end);
+}
+
+/**
+ * Get the name of an object property key
+ */
+function getKeyName(key) {
+  if (t.isIdentifier(key)) return key.name;
+  if (t.isStringLiteral(key)) return key.value;
+  return null;
+}
+
+/**
+ * Infer a JSDoc type from a default value expression
+ */
+function inferTypeFromValue(node) {
+  if (!node) return null;
+  if (t.isStringLiteral(node) || t.isTemplateLiteral(node)) return 'string';
+  if (t.isNumericLiteral(node)) return 'number';
+  if (t.isBooleanLiteral(node)) return 'boolean';
+  if (t.isArrowFunctionExpression(node) || t.isFunctionExpression(node)) return 'Function';
+  if (t.isArrayExpression(node)) return 'Array';
+  if (t.isObjectExpression(node)) return 'Object';
+  if (t.isUnaryExpression(node) && node.operator === '-' && t.isNumericLiteral(node.argument)) return 'number';
+  return null;
+}
+
+/**
+ * Resolve a PropTypes validator expression to a JSDoc type
+ * e.g. PropTypes.string.isRequired -> { type: 'string', required: true }
+ */
+function resolvePropType(node) {
+  let required = false;
+
+  // Unwrap the trailing .isRequired
+  if (t.isMemberExpression(node) && getKeyName(node.property) === 'isRequired') {
+    required = true;
+    node = node.object;
+  }
+
+  // Simple validators: PropTypes.string
+  if (t.isMemberExpression(node)) {
+    const validator = getKeyName(node.property);
+    return { type: PROP_TYPE_MAP[validator] || '*', required };
+  }
+
+  // Validator factories: PropTypes.arrayOf(...), PropTypes.oneOf([...])
+  if (t.isCallExpression(node) && t.isMemberExpression(node.callee)) {
+    const factory = getKeyName(node.callee.property);
+    const [arg] = node.arguments;
+
+    switch (factory) {
+      case 'arrayOf': {
+        const inner = arg ? resolvePropType(arg).type : '*';
+        return { type: `Array<${inner}>`, required };
+      }
+      case 'objectOf': {
+        const inner = arg ? resolvePropType(arg).type : '*';
+        return { type: `Object<string, ${inner}>`, required };
+      }
+      case 'oneOf': {
+        if (t.isArrayExpression(arg)) {
+          const values = arg.elements
+            .filter(el => t.isStringLiteral(el) || t.isNumericLiteral(el) || t.isBooleanLiteral(el))
+            .map(el => t.isStringLiteral(el) ? `'${el.value}'` : String(el.value));
+          if (values.length > 0) {
+            return { type: values.join('|'), required };
+          }
+        }
+        return { type: '*', required };
+      }
+      case 'oneOfType': {
+        if (t.isArrayExpression(arg)) {
+          const types = arg.elements.map(el => resolvePropType(el).type);
+          return { type: `(${types.join('|')})`, required };
+        }
+        return { type: '*', required };
+      }
+      case 'instanceOf':
+        return { type: t.isIdentifier(arg) ? arg.name : 'Object', required };
+      case 'shape':
+      case 'exact':
+        return { type: 'Object', required };
+      default:
+        return { type: '*', required };
+    }
+  }
+
+  return { type: '*', required };
+}
+
+/**
+ * Read props from an object pattern, e.g. ({ title, size = 'md', ...rest })
+ */
+function readObjectPattern(pattern, fileContent) {
+  const props = [];
+
+  for (const property of pattern.properties) {
+    // Skip rest elements, they do not name a prop
+    if (!t.isObjectProperty(property)) continue;
+
+    const name = getKeyName(property.key);
+    if (!name) continue;
+
+    const prop = createProp(name);
+    if (t.isAssignmentPattern(property.value)) {
+      prop.defaultValue = getNodeSource(property.value.right, fileContent);
+      prop.type = inferTypeFromValue(property.value.right);
+      prop.required = false;
+    }
+    props.push(prop);
+  }
+
+  return props;
+}
+
+/**
+ * Read props from an object literal of propTypes
+ */
+function readPropTypesObject(objectNode) {
+  const props = [];
+  if (!t.isObjectExpression(objectNode)) return props;
+
+  for (const property of objectNode.properties) {
+    if (!t.isObjectProperty(property)) continue;
+    const name = getKeyName(property.key);
+    if (!name) continue;
+
+    const prop = createProp(name);
+    const resolved = resolvePropType(property.value);
+    prop.type = resolved.type;
+    prop.required = resolved.required;
+    props.push(prop);
+  }
+
+  return props;
+}
+
+/**
+ * Read props from an object literal of defaultProps
+ */
+function readDefaultPropsObject(objectNode, fileContent) {
+  const props = [];
+  if (!t.isObjectExpression(objectNode)) return props;
+
+  for (const property of objectNode.properties) {
+    if (!t.isObjectProperty(property)) continue;
+    const name = getKeyName(property.key);
+    if (!name) continue;
+
+    const prop = createProp(name);
+    prop.defaultValue = getNodeSource(property.value, fileContent);
+    prop.type = inferTypeFromValue(property.value);
+    prop.required = false;
+    props.push(prop);
+  }
+
+  return props;
+}
+
+/**
+ * Merge prop lists by name, filling in fields that are still unknown
+ */
+function mergeProps(...propLists) {
+  const merged = new Map();
+
+  for (const list of propLists) {
+    for (const prop of list || []) {
+      const existing = merged.get(prop.name);
+      if (!existing) {
+        merged.set(prop.name, { ...prop });
+        continue;
+      }
+      for (const key of Object.keys(prop)) {
+        if (existing[key] == null && prop[key] != null) {
+          existing[key] = prop[key];
+        }
+      }
+      // A default value always makes the prop optional
+      if (prop.defaultValue != null) {
+        existing.required = false;
+      }
+    }
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * Collect props read through a named props identifier inside a function body,
+ * e.g. props.title or const { title } = props
+ */
+function collectPropsIdentifierAccess(functionPath, propsName, fileContent) {
+  const props = [];
+
+  functionPath.traverse({
+    MemberExpression(memberPath) {
+      const { node } = memberPath;
+      if (t.isIdentifier(node.object, { name: propsName }) && !node.computed) {
+        const name = getKeyName(node.property);
+        if (name) props.push(createProp(name));
+      }
+    },
+    VariableDeclarator(declaratorPath) {
+      const { node } = declaratorPath;
+      if (t.isObjectPattern(node.id) && t.isIdentifier(node.init, { name: propsName })) {
+        props.push(...readObjectPattern(node.id, fileContent));
+      }
+    }
+  });
+
+  return props;
+}
+
+/**
+ * Collect props from a function component's first parameter
+ */
+function collectFunctionProps(functionPath, fileContent) {
+  const [firstParam] = functionPath.node.params;
+  if (!firstParam) return [];
+
+  let param = firstParam;
+  if (t.isAssignmentPattern(param)) {
+    param = param.left;
+  }
+
+  if (t.isObjectPattern(param)) {
+    return readObjectPattern(param, fileContent);
+  }
+
+  if (t.isIdentifier(param)) {
+    return collectPropsIdentifierAccess(functionPath, param.name, fileContent);
+  }
+
+  return [];
+}
+
+/**
+ * Collect props from a class component: this.props accesses and static members
+ */
+function collectClassProps(classPath, fileContent) {
+  const accessed = [];
+  let propTypes = [];
+  let defaultProps = [];
+
+  // Static class properties: static propTypes = {...}
+  for (const member of classPath.node.body.body) {
+    if (!member.static || !t.isClassProperty(member)) continue;
+    const memberName = getKeyName(member.key);
+    if (memberName === 'propTypes') {
+      propTypes = readPropTypesObject(member.value);
+    } else if (memberName === 'defaultProps') {
+      defaultProps = readDefaultPropsObject(member.value, fileContent);
+    }
+  }
+
+  classPath.traverse({
+    MemberExpression(memberPath) {
+      const { node } = memberPath;
+      // this.props.x
+      if (t.isMemberExpression(node.object) &&
+          t.isThisExpression(node.object.object) &&
+          getKeyName(node.object.property) === 'props' &&
+          !node.computed) {
+        const name = getKeyName(node.property);
+        if (name) accessed.push(createProp(name));
+      }
+    },
+    VariableDeclarator(declaratorPath) {
+      const { node } = declaratorPath;
+      // const { x, y } = this.props
+      if (t.isObjectPattern(node.id) &&
+          t.isMemberExpression(node.init) &&
+          t.isThisExpression(node.init.object) &&
+          getKeyName(node.init.property) === 'props') {
+        accessed.push(...readObjectPattern(node.id, fileContent));
+      }
+    }
+  });
+
+  return mergeProps(propTypes, defaultProps, accessed);
+}
+
+/**
+ * Find the function implementing a component wrapped in HOC calls,
+ * e.g. memo(forwardRef((props, ref) => ...))
+ */
+function findWrappedFunction(callPath) {
+  for (const argPath of callPath.get('arguments')) {
+    if (argPath.isArrowFunctionExpression() || argPath.isFunctionExpression()) {
+      return argPath;
+    }
+    if (argPath.isCallExpression()) {
+      const inner = findWrappedFunction(argPath);
+      if (inner) return inner;
+    }
+  }
+  return null;
+}
+
+/**
+ * Collect props for a component from its implementing node path
+ * @param {Object} componentPath - Babel path of the function, class or HOC call
+ * @param {string} fileContent - Source of the file
+ * @returns {Array<Object>} Prop records
+ */
+function collectComponentProps(componentPath, fileContent) {
+  if (!componentPath || !componentPath.node) return [];
+
+  if (componentPath.isClass()) {
+    return collectClassProps(componentPath, fileContent);
+  }
+
+  if (componentPath.isFunction()) {
+    return mergeProps(collectFunctionProps(componentPath, fileContent));
+  }
+
+  if (componentPath.isCallExpression()) {
+    const wrapped = findWrappedFunction(componentPath);
+    return wrapped ? mergeProps(collectFunctionProps(wrapped, fileContent)) : [];
+  }
+
+  return [];
+}
+
+/**
+ * Read a `Component.propTypes = {...}` or `Component.defaultProps = {...}` assignment
+ * @param {Object} node - AssignmentExpression node
+ * @param {string} fileContent - Source of the file
+ * @returns {Object|null} { componentName, props } or null if not a static prop assignment
+ */
+function readStaticPropAssignment(node, fileContent) {
+  const { left, right } = node;
+  if (!t.isMemberExpression(left) || !t.isIdentifier(left.object)) return null;
+
+  const memberName = getKeyName(left.property);
+  if (memberName === 'propTypes') {
+    return { componentName: left.object.name, props: readPropTypesObject(right) };
+  }
+  if (memberName === 'defaultProps') {
+    return { componentName: left.object.name, props: readDefaultPropsObject(right, fileContent) };
+  }
+  return null;
+}
+
+export {
+  getNodeSource,
+  inferTypeFromValue,
+  collectComponentProps,
+  readStaticPropAssignment,
+  mergeProps
+};
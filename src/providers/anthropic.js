@@ -0,0 +1,70 @@
+// lib/providers/anthropic.js
+
+const DEFAULT_MODEL = 'claude-3-5-haiku-latest';
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const API_VERSION = '2023-06-01';
+
+/**
+ * Create a provider backed by the Anthropic Messages API
+ * @param {Object} config - Provider configuration
+ * @param {string} config.apiKey - API key
+ * @param {string} [config.baseUrl] - Base URL of the API
+ * @param {string} [config.model] - Model ID
+ * @returns {Object} Provider
+ */
+function createAnthropicProvider({ apiKey, baseUrl, model }) {
+  const endpoint = `${(baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '')}/v1/messages`;
+  const modelName = model || DEFAULT_MODEL;
+
+  return {
+    name: 'anthropic',
+    model: modelName,
+
+    /**
+     * Send a single-turn completion request
+     * @returns {Promise<{content: string, usage: Object}>}
+     */
+    async complete({ system, prompt, temperature = 0.2, maxTokens = 1000 }) {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': API_VERSION
+        },
+        body: JSON.stringify({
+          model: modelName,
+          system,
+          messages: [{ role: 'user', content: prompt }],
+          temperature,
+          max_tokens: maxTokens
+        })
+      });
+
+      if (!response.ok) {
+        const body = await response.text();
+        const error = new Error(`${response.status} ${body}`);
+        error.status = response.status;
+        error.headers = Object.fromEntries(response.headers.entries());
+        throw error;
+      }
+
+      const data = await response.json();
+      const usage = data.usage || {};
+      return {
+        content: data.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        usage: {
+          promptTokens: usage.input_tokens || 0,
+          completionTokens: usage.output_tokens || 0
+        }
+      };
+    }
+  };
+}
+
+export {
+  createAnthropicProvider
+};
@@ -0,0 +1,57 @@
+// lib/providers/index.js
+
+import { createOpenAIProvider } from './openai.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createMockProvider } from './mock.js';
+
+const PROVIDER_NAMES = ['openai', 'openai-compatible', 'anthropic', 'mock'];
+
+/**
+ * Create an LLM provider from CLI-style options
+ *
+ * Every provider exposes `name`, `model` and `complete({ system, prompt, temperature, maxTokens, json })`,
+ * which resolves to `{ content, usage: { promptTokens, completionTokens } }`.
+ * @param {Object} options - Provider options
+ * @param {string} [options.provider='openai'] - Provider name
+ * @param {string} [options.apiKey] - API key, falls back to the provider's environment variable
+ * @param {string} [options.baseUrl] - Base URL of the API
+ * @param {string} [options.model] - Model ID, falls back to the provider's default
+ * @returns {Object|null} Provider or null if it is missing required credentials
+ */
+function setupProvider(options = {}) {
+  const providerName = options.provider || 'openai';
+  const model = options.model || process.env.OPENAI_MODEL;
+
+  switch (providerName) {
+    case 'openai': {
+      const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+      if (!apiKey) return null;
+      return createOpenAIProvider({ apiKey, baseUrl: options.baseUrl, model });
+    }
+    case 'openai-compatible': {
+      if (!options.baseUrl) {
+        throw new Error('The openai-compatible provider requires --base-url');
+      }
+      // Local servers such as Ollama accept any key
+      const apiKey = options.apiKey || process.env.OPENAI_API_KEY || 'not-needed';
+      return createOpenAIProvider({ name: 'openai-compatible', apiKey, baseUrl: options.baseUrl, model });
+    }
+    case 'anthropic': {
+      const apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+      if (!apiKey) return null;
+      return createAnthropicProvider({ apiKey, baseUrl: options.baseUrl, model: options.model });
+    }
+    case 'mock':
+      return createMockProvider({ model: options.model });
+    default:
+      throw new Error(`Unknown provider "${providerName}" (expected one of ${PROVIDER_NAMES.join(', ')})`);
+  }
+}
+
+export {
+  PROVIDER_NAMES,
+  setupProvider,
+  createOpenAIProvider,
+  createAnthropicProvider,
+  createMockProvider
+};
@@ -0,0 +1,68 @@
+// lib/providers/mock.js
+
+/**
+ * Build @param lines for the props or hook parameters listed in the prompt
+ */
+function describeParams(prompt, isHook) {
+  const lines = [];
+  const pattern = isHook ? /^- parameter (?:\.\.\.)?([\w$]+): ([^,(]+?)(?: \(|,|$)/gm : /^- ([\w$]+): ([^,(]+?)(?: \(|,| - |$)/gm;
+  for (const [, name, type] of prompt.matchAll(pattern)) {
+    lines.push(isHook ? ` * @param {${type}} ${name}` : ` * @param {${type}} props.${name}`);
+  }
+  if (!isHook && lines.length > 0) {
+    lines.unshift(' * @param {Object} props - Component props');
+  }
+  return lines;
+}
+
+/**
+ * Build a deterministic docstring from the name and props in the prompt
+ */
+function defaultRespond({ prompt }) {
+  const match = prompt.match(/^(Component|Hook) Name: (.+)$/m);
+  const name = match ? match[2].trim() : 'Unknown';
+  const params = describeParams(prompt, Boolean(match) && match[1] === 'Hook');
+
+  return JSON.stringify({
+    docstring: [`/**`, ` * ${name}`, ` *`, ` * @description Mock documentation for ${name}`, ...params, ` */`].join('\n')
+  });
+}
+
+/**
+ * Create an offline provider that never calls the network
+ *
+ * Useful for tests and for trying out the pipeline without credentials.
+ * @param {Object} config - Provider configuration
+ * @param {string} [config.model] - Model ID reported to the user
+ * @param {Function} [config.respond] - Builds the response content from the request
+ * @returns {Object} Provider
+ */
+function createMockProvider({ model, respond = defaultRespond } = {}) {
+  const calls = [];
+
+  return {
+    name: 'mock',
+    model: model || 'mock',
+    calls,
+
+    /**
+     * Record the request and return the canned response
+     * @returns {Promise<{content: string, usage: Object}>}
+     */
+    async complete(request) {
+      calls.push(request);
+      const content = await respond(request);
+      return {
+        content,
+        usage: {
+          promptTokens: Math.ceil((request.system.length + request.prompt.length) / 4),
+          completionTokens: Math.ceil(content.length / 4)
+        }
+      };
+    }
+  };
+}
+
+export {
+  createMockProvider
+};
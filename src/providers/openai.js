@@ -0,0 +1,62 @@
+// lib/providers/openai.js
+
+import openai from 'openai';
+
+const DEFAULT_MODEL = 'gpt-3.5-turbo';
+
+/**
+ * Create a provider backed by the OpenAI chat completions API
+ *
+ * Also serves OpenAI-compatible servers (vLLM, LM Studio, Ollama's /v1
+ * endpoint) when a base URL is given.
+ * @param {Object} config - Provider configuration
+ * @param {string} config.name - Provider name reported to the user
+ * @param {string} config.apiKey - API key
+ * @param {string} [config.baseUrl] - Base URL of the API
+ * @param {string} [config.model] - Model ID
+ * @returns {Object} Provider
+ */
+function createOpenAIProvider({ name = 'openai', apiKey, baseUrl, model }) {
+  const client = new openai.OpenAI({
+    apiKey,
+    baseURL: baseUrl || undefined,
+    // Retries go through the run's scheduler, which also respects the rate limits
+    maxRetries: 0
+  });
+  const modelName = model || DEFAULT_MODEL;
+
+  return {
+    name,
+    model: modelName,
+
+    /**
+     * Send a single-turn completion request
+     * @returns {Promise<{content: string, usage: Object}>}
+     */
+    async complete({ system, prompt, temperature = 0.2, maxTokens = 1000, json = true }) {
+      const response = await client.chat.completions.create({
+        model: modelName,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ],
+        response_format: json ? { type: 'json_object' } : undefined,
+        temperature,
+        max_tokens: maxTokens
+      });
+
+      const usage = response.usage || {};
+      return {
+        content: response.choices[0].message.content,
+        usage: {
+          promptTokens: usage.prompt_tokens || 0,
+          completionTokens: usage.completion_tokens || 0
+        }
+      };
+    }
+  };
+}
+
+export {
+  createOpenAIProvider
+};
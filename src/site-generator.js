@@ -0,0 +1,405 @@
+// lib/site-generator.js
+
+import fs from 'fs';
+import path from 'path';
+
+import { parseJSDoc } from './utils/jsdoc-parser.js';
+import { logDebug } from './utils/logger.js';
+
+const writeFile = fs.promises.writeFile;
+const mkdir = fs.promises.mkdir;
+
+// Tags rendered in their own sections, everything else is listed under "Tags"
+const SECTION_TAGS = ['param', 'arg', 'argument', 'returns', 'return', 'example', 'description', 'desc', 'component', 'docgen-hash'];
+
+/**
+ * Get the documentation to publish for a component: generated first, then existing
+ */
+function getComponentDocString(component, docStrings) {
+  const result = docStrings && docStrings[component.uniqueId];
+  if (result && result.docstring) {
+    return result.docstring;
+  }
+  return component.existingComment || '';
+}
+
+/**
+ * Combine documented @param props.* tags with the props found in the source
+ */
+function buildPropRows(component, tags) {
+  const rows = new Map();
+
+  for (const prop of component.props || []) {
+    rows.set(prop.name, {
+      name: prop.name,
+      type: prop.type,
+      required: prop.required,
+      defaultValue: prop.defaultValue,
+      description: prop.description || ''
+    });
+  }
+
+  for (const tag of tags) {
+    if (!tag.name || !tag.name.startsWith('props.')) continue;
+    const name = tag.name.substring('props.'.length);
+    const existing = rows.get(name) || { name, type: null, required: null, defaultValue: null, description: '' };
+    rows.set(name, {
+      name,
+      type: tag.type || existing.type,
+      required: tag.optional ? false : (existing.required ?? true),
+      defaultValue: tag.defaultValue ?? existing.defaultValue,
+      description: tag.description || existing.description
+    });
+  }
+
+  return [...rows.values()];
+}
+
+/**
+ * Build the data shown on a component's page
+ * @param {Object} component - Component record from the extractor
+ * @param {string} docstring - JSDoc comment for the component
+ * @returns {Object} Page model
+ */
+function buildComponentPage(component, docstring) {
+  const parsed = parseJSDoc(docstring);
+  const paramTags = parsed.tags.filter(tag => ['param', 'arg', 'argument'].includes(tag.tag));
+  const returnsTag = parsed.tags.find(tag => tag.tag === 'returns' || tag.tag === 'return');
+  const isHook = component.type === 'CustomHook';
+  const subComponents = (component.subComponents || []).map(subComponent => subComponent.name);
+
+  return {
+    name: component.name,
+    type: component.type,
+    file: component.file,
+    filePath: component.filePath,
+    line: component.location.line,
+    parent: component.parent ? component.parent.name : null,
+    subComponents,
+    description: parsed.description,
+    props: isHook ? [] : buildPropRows(component, paramTags),
+    params: isHook
+      ? paramTags.map(tag => ({
+        name: tag.name,
+        type: tag.type,
+        required: !tag.optional,
+        defaultValue: tag.defaultValue,
+        description: tag.description
+      }))
+      : [],
+    returns: returnsTag ? { type: returnsTag.type, description: returnsTag.description } : null,
+    examples: parsed.tags.filter(tag => tag.tag === 'example').map(tag => tag.description),
+    tags: parsed.tags
+      .filter(tag => !SECTION_TAGS.includes(tag.tag))
+      // The @see tags of sub-components have their own section
+      .filter(tag => !(tag.tag === 'see' && subComponents.includes(tag.raw.trim())))
+      .map(tag => ({ tag: tag.tag, text: tag.raw.trim() }))
+  };
+}
+
+/**
+ * Escape text for a Markdown table cell
+ */
+function escapeCell(text) {
+  if (text == null || text === '') return '';
+  return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Render a props or parameters table
+ */
+function renderTable(rows) {
+  const lines = [
+    '| Name | Type | Required | Default | Description |',
+    '| --- | --- | --- | --- | --- |'
+  ];
+  for (const row of rows) {
+    const required = row.required === true ? 'Yes' : row.required === false ? 'No' : '';
+    lines.push(`| \`${escapeCell(row.name)}\` | ${row.type ? `\`${escapeCell(row.type)}\`` : ''} | ${required} | ${row.defaultValue != null ? `\`${escapeCell(row.defaultValue)}\`` : ''} | ${escapeCell(row.description)} |`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render a component page as Markdown
+ * @param {Object} page - Page model
+ * @param {string} sourceLink - Link from the page to the component source
+ * @returns {string} Markdown
+ */
+function renderComponentMarkdown(page, sourceLink) {
+  const sections = [
+    `# ${page.name}`,
+    `\`${page.type}\` · [${page.file}:${page.line}](${sourceLink})${page.parent ? ` · sub-component of \`${page.parent}\`` : ''}`
+  ];
+
+  if (page.description) {
+    sections.push(page.description);
+  }
+
+  if (page.props.length > 0) {
+    sections.push('## Props', renderTable(page.props));
+  }
+
+  if (page.params.length > 0) {
+    sections.push('## Parameters', renderTable(page.params));
+  }
+
+  if (page.returns) {
+    const type = page.returns.type ? `\`${page.returns.type}\` ` : '';
+    sections.push('## Returns', `${type}${page.returns.description}`.trim());
+  }
+
+  if (page.subComponents.length > 0) {
+    sections.push('## Sub-components', page.subComponents.map(name => `- \`${name}\``).join('\n'));
+  }
+
+  if (page.examples.length > 0) {
+    sections.push('## Examples', ...page.examples.map(example => '```jsx\n' + example + '\n```'));
+  }
+
+  if (page.tags.length > 0) {
+    sections.push('## Tags', page.tags.map(tag => `- \`@${tag.tag}\` ${tag.text}`.trimEnd()).join('\n'));
+  }
+
+  return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Get the first sentence of a description for index listings
+ */
+function getSummary(description) {
+  const firstParagraph = description.split(/\n\s*\n/)[0].replace(/\s+/g, ' ').trim();
+  const sentence = firstParagraph.match(/^.*?[.!?](\s|$)/);
+  return sentence ? sentence[0].trim() : firstParagraph;
+}
+
+/**
+ * Render the index page, grouping components by directory
+ */
+function renderIndexMarkdown(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const directory = path.dirname(entry.page.file);
+    const key = directory === '.' ? '(root)' : directory.split(path.sep).join('/');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+
+  const lines = ['# Component Reference', ''];
+  for (const key of [...groups.keys()].sort()) {
+    lines.push(`## ${key}`, '');
+    const sorted = groups.get(key).sort((a, b) => a.page.name.localeCompare(b.page.name));
+    for (const { page, pagePath } of sorted) {
+      const summary = getSummary(page.description);
+      lines.push(`- [${page.name}](${pagePath.split(path.sep).join('/')}) \`${page.type}\`${summary ? ` — ${summary}` : ''}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a self-contained HTML reference with client-side search
+ */
+function renderHtml(entries) {
+  const data = entries.map(({ page, sourceLink }) => ({
+    ...page,
+    file: page.file.split(path.sep).join('/'),
+    filePath: undefined,
+    sourceLink
+  }));
+  // Keep the embedded JSON from closing the script element early
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Component Reference</title>
+<style>
+body { margin: 0; font-family: system-ui, sans-serif; display: flex; height: 100vh; color: #222; }
+nav { width: 280px; border-right: 1px solid #ddd; overflow-y: auto; padding: 12px; box-sizing: border-box; }
+nav input { width: 100%; padding: 6px; margin-bottom: 8px; box-sizing: border-box; }
+nav h4 { margin: 12px 0 4px; font-size: 12px; color: #666; }
+nav a { display: block; padding: 2px 4px; color: #0550ae; text-decoration: none; cursor: pointer; }
+nav a.active { background: #e7f0fb; }
+main { flex: 1; overflow-y: auto; padding: 24px 32px; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+code, pre { background: #f5f5f5; font-family: ui-monospace, monospace; }
+pre { padding: 12px; overflow-x: auto; }
+.meta { color: #666; }
+.description { white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<nav><input id="search" type="search" placeholder="Search components"><div id="list"></div></nav>
+<main id="content"></main>
+<script id="data" type="application/json">${json}</script>
+<script>
+(function () {
+  var components = JSON.parse(document.getElementById('data').textContent);
+  var list = document.getElementById('list');
+  var content = document.getElementById('content');
+  var search = document.getElementById('search');
+
+  function el(tag, text, className) {
+    var node = document.createElement(tag);
+    if (text != null) node.textContent = text;
+    if (className) node.className = className;
+    return node;
+  }
+
+  function table(rows) {
+    var t = el('table');
+    var head = el('tr');
+    ['Name', 'Type', 'Required', 'Default', 'Description'].forEach(function (h) { head.appendChild(el('th', h)); });
+    t.appendChild(head);
+    rows.forEach(function (row) {
+      var tr = el('tr');
+      tr.appendChild(el('td')).appendChild(el('code', row.name));
+      tr.appendChild(el('td')).appendChild(el('code', row.type || ''));
+      tr.appendChild(el('td', row.required === true ? 'Yes' : row.required === false ? 'No' : ''));
+      tr.appendChild(el('td')).appendChild(el('code', row.defaultValue == null ? '' : row.defaultValue));
+      tr.appendChild(el('td', row.description || ''));
+      t.appendChild(tr);
+    });
+    return t;
+  }
+
+  function show(index) {
+    var c = components[index];
+    content.innerHTML = '';
+    content.appendChild(el('h1', c.name));
+    var meta = el('p', c.type + ' \\u00b7 ', 'meta');
+    var link = el('a', c.file + ':' + c.line);
+    link.href = c.sourceLink;
+    meta.appendChild(link);
+    if (c.parent) meta.appendChild(document.createTextNode(' \\u00b7 sub-component of ' + c.parent));
+    content.appendChild(meta);
+    if (c.description) content.appendChild(el('p', c.description, 'description'));
+    if (c.props.length) { content.appendChild(el('h2', 'Props')); content.appendChild(table(c.props)); }
+    if (c.params.length) { content.appendChild(el('h2', 'Parameters')); content.appendChild(table(c.params)); }
+    if (c.returns) {
+      content.appendChild(el('h2', 'Returns'));
+      content.appendChild(el('p', (c.returns.type ? c.returns.type + ' - ' : '') + c.returns.description));
+    }
+    if (c.subComponents.length) {
+      content.appendChild(el('h2', 'Sub-components'));
+      var subs = el('ul');
+      c.subComponents.forEach(function (name) { subs.appendChild(el('li')).appendChild(el('code', name)); });
+      content.appendChild(subs);
+    }
+    if (c.examples.length) {
+      content.appendChild(el('h2', 'Examples'));
+      c.examples.forEach(function (example) { content.appendChild(el('pre', example)); });
+    }
+    if (c.tags.length) {
+      content.appendChild(el('h2', 'Tags'));
+      var ul = el('ul');
+      c.tags.forEach(function (tag) { ul.appendChild(el('li', '@' + tag.tag + ' ' + tag.text)); });
+      content.appendChild(ul);
+    }
+    Array.prototype.forEach.call(list.querySelectorAll('a'), function (a) {
+      a.classList.toggle('active', Number(a.dataset.index) === index);
+    });
+    location.hash = encodeURIComponent(c.file + ':' + c.name);
+  }
+
+  function matches(c, query) {
+    if (!query) return true;
+    var haystack = [c.name, c.type, c.file, c.description]
+      .concat(c.props.map(function (p) { return p.name + ' ' + (p.description || ''); }))
+      .join(' ').toLowerCase();
+    return query.split(/\\s+/).every(function (word) { return haystack.indexOf(word) !== -1; });
+  }
+
+  function render() {
+    var query = search.value.trim().toLowerCase();
+    var groups = {};
+    components.forEach(function (c, index) {
+      if (!matches(c, query)) return;
+      var dir = c.file.split('/').slice(0, -1).join('/') || '(root)';
+      (groups[dir] = groups[dir] || []).push(index);
+    });
+    list.innerHTML = '';
+    Object.keys(groups).sort().forEach(function (dir) {
+      list.appendChild(el('h4', dir));
+      groups[dir].forEach(function (index) {
+        var a = el('a', components[index].name);
+        a.dataset.index = index;
+        a.onclick = function () { show(index); };
+        list.appendChild(a);
+      });
+    });
+  }
+
+  search.addEventListener('input', render);
+  render();
+  var initial = components.findIndex(function (c) {
+    return encodeURIComponent(c.file + ':' + c.name) === location.hash.slice(1);
+  });
+  if (components.length) show(initial === -1 ? 0 : initial);
+})();
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Generate a Markdown (and optionally HTML) component reference
+ * @param {Object} componentsByFile - Components keyed by file path
+ * @param {Object} docStrings - Results from generateDocStrings, keyed by component ID
+ * @param {string} outputDir - Directory to write the reference to
+ * @param {Object} options - Options
+ * @param {boolean} [options.html] - Also write a self-contained index.html with search
+ * @returns {Promise<Object>} { pages, outputDir }
+ */
+async function generateReferenceSite(componentsByFile, docStrings, outputDir, options = {}) {
+  const entries = [];
+  const usedPaths = new Set();
+
+  const components = Object.values(componentsByFile).flat();
+  for (const component of components) {
+    const page = buildComponentPage(component, getComponentDocString(component, docStrings));
+
+    // Mirror the source directory layout, disambiguating duplicate names
+    const directory = path.dirname(component.file);
+    let pagePath = path.join(directory, `${component.name}.md`);
+    if (usedPaths.has(pagePath)) {
+      const base = path.basename(component.file, path.extname(component.file));
+      pagePath = path.join(directory, `${component.name}-${base}-${component.location.line}.md`);
+    }
+    usedPaths.add(pagePath);
+
+    const pageFile = path.join(outputDir, pagePath);
+    const sourceLink = `${path.relative(path.dirname(pageFile), component.filePath).split(path.sep).join('/')}#L${page.line}`;
+
+    await mkdir(path.dirname(pageFile), { recursive: true });
+    await writeFile(pageFile, renderComponentMarkdown(page, sourceLink), 'utf8');
+    logDebug(`Wrote reference page ${pageFile}`);
+
+    entries.push({
+      page,
+      pagePath,
+      sourceLink: path.relative(outputDir, component.filePath).split(path.sep).join('/') + `#L${page.line}`
+    });
+  }
+
+  await mkdir(outputDir, { recursive: true });
+  await writeFile(path.join(outputDir, 'index.md'), renderIndexMarkdown(entries), 'utf8');
+
+  if (options.html) {
+    await writeFile(path.join(outputDir, 'index.html'), renderHtml(entries), 'utf8');
+  }
+
+  return { pages: entries.length, outputDir };
+}
+
+export {
+  generateReferenceSite,
+  buildComponentPage,
+  getComponentDocString
+};
@@ -0,0 +1,265 @@
+// lib/story-generator.js
+
+import fs from 'fs';
+import path from 'path';
+
+import { buildComponentPage, getComponentDocString } from './site-generator.js';
+import { logInfo, logDebug, logTrace } from './utils/logger.js';
+import { splitUnion, isLiteral } from './utils/type-utils.js';
+
+const writeFile = fs.promises.writeFile;
+
+// Story files in any of these formats count as existing stories for a component
+const STORY_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mdx'];
+
+/**
+ * Quote text as a JavaScript string, single-quoted unless the text contains single quotes
+ */
+function quote(text) {
+  const value = String(text);
+  const mark = value.includes('\'') && !value.includes('"') ? '"' : '\'';
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(new RegExp(mark, 'g'), `\\${mark}`)
+    .replace(/\r?\n/g, '\\n');
+  return `${mark}${escaped}${mark}`;
+}
+
+/**
+ * Render an object key, quoting it when it is not a valid identifier
+ */
+function renderKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : quote(key);
+}
+
+/**
+ * Render entries of [key, source] as an object literal
+ * @param {Array<Array<string>>} entries - Keys with already rendered values
+ * @param {number} depth - Nesting depth, for indentation
+ */
+function renderObject(entries, depth = 1) {
+  if (entries.length === 0) return '{}';
+  const indent = '  '.repeat(depth + 1);
+  const lines = entries.map(([key, value]) => `${indent}${renderKey(key)}: ${value},`);
+  return `{\n${lines.join('\n')}\n${'  '.repeat(depth)}}`;
+}
+
+/**
+ * Check if a prop is an event handler or callback
+ */
+function isCallbackProp(prop) {
+  return prop.type === 'Function' || /=>/.test(prop.type || '') || /^on[A-Z]/.test(prop.name);
+}
+
+/**
+ * Turn a prop name into placeholder text, e.g. helperText -> 'Helper text'
+ */
+function placeholderText(name) {
+  const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Pick a sample value for a required prop without a default
+ * @returns {string|null} JavaScript source for the value, or null when none fits
+ */
+function sampleValue(prop) {
+  const type = (prop.type || '').trim();
+  const options = splitUnion(type);
+
+  if (options.length > 1 && options.every(isLiteral)) return options[0];
+  if (type === 'string' || type === 'React.ReactNode' || type === 'ReactNode' || prop.name === 'children') {
+    return quote(placeholderText(prop.name));
+  }
+  if (type === 'number') return '0';
+  if (type === 'boolean') return 'false';
+  if (type === 'Array' || /\[\]$/.test(type) || /^Array</.test(type)) return '[]';
+  if (type === 'Object' || /^\{/.test(type)) return '{}';
+  return null;
+}
+
+/**
+ * Build the Storybook control for a prop from its type
+ * @returns {Array<Array<string>>} argType entries
+ */
+function buildArgType(prop) {
+  const entries = [];
+  const type = (prop.type || '').trim();
+  const options = splitUnion(type);
+
+  if (isCallbackProp(prop)) {
+    entries.push(['action', quote(prop.name)]);
+  } else if (options.length > 1 && options.every(isLiteral)) {
+    entries.push(['control', quote('select')]);
+    entries.push(['options', `[${options.join(', ')}]`]);
+  } else if (type === 'boolean') {
+    entries.push(['control', quote('boolean')]);
+  } else if (type === 'number') {
+    entries.push(['control', quote('number')]);
+  } else if (type === 'string') {
+    entries.push(['control', quote('text')]);
+  } else if (type === 'Object' || type === 'Array' || /\[\]$/.test(type) || /^Array</.test(type)) {
+    entries.push(['control', quote('object')]);
+  }
+
+  if (prop.description) {
+    entries.push(['description', quote(prop.description)]);
+  }
+
+  const table = [];
+  if (type) table.push(['type', renderObject([['summary', quote(type)]], 4)]);
+  if (prop.defaultValue != null) table.push(['defaultValue', renderObject([['summary', quote(prop.defaultValue)]], 4)]);
+  if (table.length > 0) {
+    entries.push(['table', renderObject(table, 3)]);
+  }
+
+  return entries;
+}
+
+/**
+ * Build default args from prop defaults and sample values for required props
+ */
+function buildArgs(props) {
+  const args = [];
+  for (const prop of props) {
+    if (isCallbackProp(prop)) continue;
+    if (prop.defaultValue != null && isLiteral(prop.defaultValue)) {
+      args.push([prop.name, prop.defaultValue.trim()]);
+    } else if (prop.required) {
+      const value = sampleValue(prop);
+      if (value !== null) args.push([prop.name, value]);
+    }
+  }
+  return args;
+}
+
+/**
+ * Build the Storybook title from the component's directory, e.g. components/forms/Input
+ */
+function getStoryTitle(component) {
+  const directory = path.dirname(component.file).split(path.sep).join('/');
+  return directory === '.' ? component.name : `${directory}/${component.name}`;
+}
+
+/**
+ * Render a CSF3 story file for a component
+ * @param {Object} component - Component record from the extractor
+ * @param {string} docstring - JSDoc comment for the component
+ * @param {boolean} typescript - Whether to emit TypeScript
+ * @returns {string} Story file source
+ */
+function renderStoryFile(component, docstring, typescript) {
+  const page = buildComponentPage(component, docstring);
+  const name = component.name;
+  const importPath = `./${path.basename(component.filePath, path.extname(component.filePath))}`;
+  const importLine = component.exportName === 'default'
+    ? `import ${name} from '${importPath}';`
+    : component.exportName === name
+      ? `import { ${name} } from '${importPath}';`
+      : `import { ${component.exportName} as ${name} } from '${importPath}';`;
+
+  const meta = [
+    ['title', quote(getStoryTitle(component))],
+    ['component', name]
+  ];
+  if (page.description) {
+    meta.push(['parameters', renderObject([
+      ['docs', renderObject([['description', renderObject([['component', quote(page.description)]], 3)]], 2)]
+    ], 1)]);
+  }
+
+  const args = buildArgs(page.props);
+  if (args.length > 0) {
+    meta.push(['args', renderObject(args, 1)]);
+  }
+
+  const argTypes = page.props
+    .map(prop => [prop.name, renderObject(buildArgType(prop), 2)])
+    .filter(([, value]) => value !== '{}');
+  if (argTypes.length > 0) {
+    meta.push(['argTypes', renderObject(argTypes, 1)]);
+  }
+
+  // The first @example becomes the source shown for the default story
+  const story = page.examples.length > 0
+    ? renderObject([['parameters', renderObject([
+      ['docs', renderObject([['source', renderObject([['code', quote(page.examples[0])]], 3)]], 2)]
+    ], 1)]], 0)
+    : '{}';
+
+  const lines = [];
+  if (typescript) {
+    lines.push('import type { Meta, StoryObj } from \'@storybook/react\';', '', importLine, '');
+    lines.push(`const meta = ${renderObject(meta, 0)} satisfies Meta<typeof ${name}>;`, '');
+    lines.push('export default meta;', 'type Story = StoryObj<typeof meta>;', '');
+    lines.push(`export const Default: Story = ${story};`);
+  } else {
+    lines.push(importLine, '');
+    lines.push(`export default ${renderObject(meta, 0)};`, '');
+    lines.push(`export const Default = ${story};`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Find an existing story file for a component, in any supported format
+ */
+function findExistingStory(directory, name) {
+  for (const extension of STORY_EXTENSIONS) {
+    const candidate = path.join(directory, `${name}.stories${extension}`);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Write a CSF3 Storybook story next to every exported component
+ * @param {Object} componentsByFile - Components keyed by file path
+ * @param {Object} docStrings - Results from generateDocStrings, keyed by component ID
+ * @param {Object} options - { force, isDryRun }
+ * @returns {Promise<Object>} Counts of written and skipped stories
+ */
+async function generateStories(componentsByFile, docStrings, options = {}) {
+  const results = { written: [], existing: [], notExported: [] };
+
+  for (const components of Object.values(componentsByFile)) {
+    for (const component of components) {
+      if (component.type === 'CustomHook') continue;
+
+      if (!component.exportName) {
+        logDebug(`Skipping ${component.name} in ${component.file}: not exported`);
+        results.notExported.push(component);
+        continue;
+      }
+
+      const directory = path.dirname(component.filePath);
+      const typescript = /\.tsx?$/.test(component.filePath);
+      const storyPath = path.join(directory, `${component.name}.stories.${typescript ? 'tsx' : 'jsx'}`);
+
+      const existing = findExistingStory(directory, component.name);
+      if (existing && !options.force) {
+        logDebug(`Skipping ${component.name}: ${existing} already exists`);
+        results.existing.push(existing);
+        continue;
+      }
+
+      const source = renderStoryFile(component, getComponentDocString(component, docStrings), typescript);
+      if (options.isDryRun) {
+        logInfo(`Would write ${storyPath}`);
+        logTrace(source);
+      } else {
+        await writeFile(storyPath, source, 'utf8');
+        logDebug(`Wrote ${storyPath}`);
+      }
+      results.written.push(storyPath);
+    }
+  }
+
+  return results;
+}
+
+export {
+  generateStories,
+  renderStoryFile
+};
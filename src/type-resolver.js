@@ -0,0 +1,415 @@
+// lib/type-resolver.js
+
+import path from 'path';
+import babylon from '@babel/parser';
+import t from '@babel/types';
+
+import { logTrace } from './utils/logger.js';
+import { getFileSystem } from './utils/file-system.js';
+
+// Extensions tried, in order, when resolving a relative type import
+const MODULE_EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.js', '.jsx'];
+
+// Component wrapper types whose first type argument is the props type
+const COMPONENT_TYPE_NAMES = ['FC', 'FunctionComponent', 'VFC', 'VoidFunctionComponent', 'ComponentType'];
+
+// Parsed modules, keyed by absolute path, shared across a run
+const moduleCache = new Map();
+
+/**
+ * Get the source text of a node
+ */
+function getSource(node, content) {
+  return content.substring(node.start, node.end);
+}
+
+/**
+ * Get the right-most name of an identifier or qualified name, e.g. React.FC -> FC
+ */
+function getTypeName(node) {
+  if (!node) return null;
+  if (t.isIdentifier(node)) return node.name;
+  if (t.isTSQualifiedName(node)) return node.right.name;
+  if (t.isMemberExpression(node)) return getTypeName(node.property);
+  return null;
+}
+
+/**
+ * Get the type arguments of a type reference or heritage clause
+ */
+function getTypeArguments(node) {
+  const params = node && (node.typeParameters || node.typeArguments);
+  return params ? params.params : [];
+}
+
+/**
+ * Read the TSDoc summary from a member's leading comment
+ */
+function readDocComment(node) {
+  const comments = node.leadingComments || [];
+  const docComment = [...comments].reverse().find(c => c.type === 'CommentBlock' && c.value.startsWith('*'));
+  if (!docComment) return null;
+
+  const lines = docComment.value
+    .split('\n')
+    .map(line => line.replace(/^\s*\*+\s?/, '').trim());
+
+  // Keep the summary text that precedes the first block tag
+  const tagIndex = lines.findIndex(line => line.startsWith('@'));
+  const summary = (tagIndex === -1 ? lines : lines.slice(0, tagIndex)).join(' ').trim();
+  return summary || null;
+}
+
+/**
+ * Parse a source file into a module record
+ */
+function parseModule(filePath, content) {
+  const extension = path.extname(filePath).toLowerCase();
+  const plugins = [];
+
+  if (filePath.endsWith('.d.ts')) {
+    plugins.push(['typescript', { dts: true }]);
+  } else if (extension === '.ts' || extension === '.tsx') {
+    plugins.push('typescript');
+  }
+  if (extension !== '.ts') {
+    plugins.push('jsx');
+  }
+
+  const ast = babylon.parse(content, {
+    sourceType: 'module',
+    plugins
+  });
+
+  return indexModule(filePath, content, ast);
+}
+
+/**
+ * Index the type declarations and imports of a parsed module
+ */
+function indexModule(filePath, content, ast) {
+  const declarations = new Map();
+  const imports = new Map();
+  const reexports = new Map();
+
+  for (const statement of ast.program.body) {
+    let declaration = statement;
+    if (t.isExportNamedDeclaration(statement) || t.isExportDefaultDeclaration(statement)) {
+      declaration = statement.declaration;
+
+      // export { Props } from './types'
+      if (!declaration && statement.source) {
+        for (const specifier of statement.specifiers) {
+          if (t.isExportSpecifier(specifier)) {
+            reexports.set(getTypeName(specifier.exported) || specifier.exported.value, {
+              source: statement.source.value,
+              importedName: specifier.local.name
+            });
+          }
+        }
+      }
+    }
+
+    if (t.isTSInterfaceDeclaration(declaration) || t.isTSTypeAliasDeclaration(declaration)) {
+      declarations.set(declaration.id.name, declaration);
+    }
+
+    if (t.isImportDeclaration(statement)) {
+      for (const specifier of statement.specifiers) {
+        if (t.isImportSpecifier(specifier)) {
+          imports.set(specifier.local.name, {
+            source: statement.source.value,
+            importedName: getTypeName(specifier.imported) || specifier.imported.value
+          });
+        }
+      }
+    }
+  }
+
+  return { filePath, content, declarations, imports, reexports };
+}
+
+/**
+ * Resolve a relative module specifier to a file on disk
+ */
+function resolveModulePath(fromFile, source) {
+  if (!source.startsWith('.')) return null;
+
+  const base = path.resolve(path.dirname(fromFile), source);
+  const candidates = [
+    base,
+    ...MODULE_EXTENSIONS.map(ext => base + ext),
+    ...MODULE_EXTENSIONS.map(ext => path.join(base, `index${ext}`))
+  ];
+
+  const fs = getFileSystem();
+  return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+/**
+ * Load and index a module, using the shared cache
+ */
+function loadModule(filePath) {
+  if (moduleCache.has(filePath)) {
+    return moduleCache.get(filePath);
+  }
+
+  let moduleRecord = null;
+  try {
+    const content = getFileSystem().readFileSync(filePath, 'utf8');
+    moduleRecord = parseModule(filePath, content);
+  } catch (error) {
+    logTrace(`Failed to load types from ${filePath}: ${error.message}`);
+  }
+
+  moduleCache.set(filePath, moduleRecord);
+  return moduleRecord;
+}
+
+/**
+ * Find the declaration of a named type, following relative imports and re-exports
+ */
+function findTypeDeclaration(moduleRecord, name, seen) {
+  const key = `${moduleRecord.filePath}:${name}`;
+  if (seen.has(key)) return null;
+  seen.add(key);
+
+  if (moduleRecord.declarations.has(name)) {
+    return { declaration: moduleRecord.declarations.get(name), moduleRecord, seen };
+  }
+
+  const link = moduleRecord.imports.get(name) || moduleRecord.reexports.get(name);
+  if (!link) return null;
+
+  const targetPath = resolveModulePath(moduleRecord.filePath, link.source);
+  if (!targetPath) return null;
+
+  const targetModule = loadModule(targetPath);
+  if (!targetModule) return null;
+
+  return findTypeDeclaration(targetModule, link.importedName, seen);
+}
+
+/**
+ * Read the members of a type literal or interface body
+ */
+function readMembers(members, moduleRecord) {
+  const props = [];
+
+  for (const member of members) {
+    if (!t.isTSPropertySignature(member) && !t.isTSMethodSignature(member)) continue;
+
+    const name = getTypeName(member.key) || (t.isStringLiteral(member.key) ? member.key.value : null);
+    if (!name) continue;
+
+    let type = '*';
+    if (t.isTSMethodSignature(member)) {
+      type = 'Function';
+    } else if (member.typeAnnotation) {
+      type = getSource(member.typeAnnotation.typeAnnotation, moduleRecord.content);
+    }
+
+    props.push({
+      name,
+      type,
+      required: !member.optional,
+      defaultValue: null,
+      description: readDocComment(member)
+    });
+  }
+
+  return props;
+}
+
+/**
+ * Combine resolved shapes, later members overriding earlier ones by name
+ */
+function combineShapes(shapes) {
+  const props = new Map();
+  const unresolved = [];
+
+  for (const shape of shapes) {
+    for (const prop of shape.props) {
+      props.set(prop.name, { ...props.get(prop.name), ...prop });
+    }
+    unresolved.push(...shape.unresolved);
+  }
+
+  return { props: [...props.values()], unresolved };
+}
+
+/**
+ * Resolve a type node to a flat prop shape
+ * @returns {{props: Array<Object>, unresolved: Array<string>}}
+ */
+function resolveTypeNode(typeNode, moduleRecord, seen) {
+  if (!typeNode) return { props: [], unresolved: [] };
+
+  if (t.isTSParenthesizedType(typeNode)) {
+    return resolveTypeNode(typeNode.typeAnnotation, moduleRecord, seen);
+  }
+
+  if (t.isTSTypeLiteral(typeNode)) {
+    return { props: readMembers(typeNode.members, moduleRecord), unresolved: [] };
+  }
+
+  if (t.isTSIntersectionType(typeNode)) {
+    return combineShapes(typeNode.types.map(type => resolveTypeNode(type, moduleRecord, seen)));
+  }
+
+  if (t.isTSUnionType(typeNode)) {
+    // A member is only required when every branch of the union requires it
+    const branches = typeNode.types.map(type => resolveTypeNode(type, moduleRecord, seen));
+    const combined = combineShapes(branches);
+    for (const prop of combined.props) {
+      prop.required = branches.every(branch =>
+        branch.props.some(p => p.name === prop.name && p.required));
+    }
+    return combined;
+  }
+
+  if (t.isTSTypeReference(typeNode) || t.isTSExpressionWithTypeArguments(typeNode)) {
+    const nameNode = typeNode.typeName || typeNode.expression;
+    const name = getTypeName(nameNode);
+    const [firstArgument] = getTypeArguments(typeNode);
+
+    // Utility types that keep the member list
+    if (['Partial', 'Required', 'Readonly'].includes(name) && firstArgument) {
+      const inner = resolveTypeNode(firstArgument, moduleRecord, seen);
+      if (name !== 'Readonly') {
+        inner.props.forEach(prop => { prop.required = name === 'Required'; });
+      }
+      return inner;
+    }
+
+    // Qualified names (React.HTMLAttributes<...>) live outside the project
+    // Copy the seen set so sibling references to the same type still resolve
+    const found = t.isIdentifier(nameNode) ? findTypeDeclaration(moduleRecord, name, new Set(seen)) : null;
+    if (!found) {
+      return { props: [], unresolved: [getSource(typeNode, moduleRecord.content)] };
+    }
+
+    return resolveDeclaration(found.declaration, found.moduleRecord, found.seen);
+  }
+
+  return { props: [], unresolved: [getSource(typeNode, moduleRecord.content)] };
+}
+
+/**
+ * Resolve an interface or type alias declaration, flattening extends clauses
+ */
+function resolveDeclaration(declaration, moduleRecord, seen) {
+  if (t.isTSTypeAliasDeclaration(declaration)) {
+    return resolveTypeNode(declaration.typeAnnotation, moduleRecord, seen);
+  }
+
+  const inherited = (declaration.extends || []).map(heritage => resolveTypeNode(heritage, moduleRecord, seen));
+  const own = { props: readMembers(declaration.body.body, moduleRecord), unresolved: [] };
+  return combineShapes([...inherited, own]);
+}
+
+/**
+ * Get the annotation of a function's props parameter
+ */
+function getParamAnnotation(functionNode) {
+  const [firstParam] = functionNode.params;
+  if (!firstParam) return null;
+
+  const param = t.isAssignmentPattern(firstParam) ? firstParam.left : firstParam;
+  return param.typeAnnotation ? param.typeAnnotation.typeAnnotation : null;
+}
+
+/**
+ * Check if a variable is annotated as a component, e.g. `const Button: React.FC<Props>`
+ * @param {Object} id - Declared identifier node
+ * @returns {boolean}
+ */
+function hasComponentTypeAnnotation(id) {
+  const annotation = id && id.typeAnnotation && id.typeAnnotation.typeAnnotation;
+  return t.isTSTypeReference(annotation) && COMPONENT_TYPE_NAMES.includes(getTypeName(annotation.typeName));
+}
+
+/**
+ * Find the props type node for a component
+ *
+ * Looks, in order, at `const X: FC<Props>`, `forwardRef<El, Props>(...)`,
+ * `memo<Props>(...)`, `class X extends Component<Props>` and `(props: Props)`.
+ */
+function findPropsTypeNode(componentPath) {
+  const { node } = componentPath;
+
+  // const Button: React.FC<ButtonProps> = ...
+  const declarator = componentPath.parentPath;
+  if (declarator && declarator.isVariableDeclarator() && hasComponentTypeAnnotation(declarator.node.id)) {
+    const [propsType] = getTypeArguments(declarator.node.id.typeAnnotation.typeAnnotation);
+    if (propsType) return propsType;
+  }
+
+  if (t.isClass(node)) {
+    const [propsType] = getTypeArguments({ typeParameters: node.superTypeParameters });
+    return propsType || null;
+  }
+
+  if (t.isCallExpression(node)) {
+    const calleeName = getTypeName(node.callee);
+    const typeArguments = getTypeArguments(node);
+    if (calleeName === 'forwardRef' && typeArguments[1]) return typeArguments[1];
+    if (calleeName === 'memo' && typeArguments[0]) return typeArguments[0];
+
+    // Look through wrapped calls and functions: memo(forwardRef<...>(...))
+    for (const argument of node.arguments) {
+      if (t.isCallExpression(argument) || t.isFunction(argument)) {
+        const inner = findPropsTypeNode({ node: argument, parentPath: null });
+        if (inner) return inner;
+      }
+    }
+    return null;
+  }
+
+  if (t.isFunction(node)) {
+    return getParamAnnotation(node);
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the TypeScript props shape of a component
+ * @param {Object} componentPath - Babel path of the function, class or HOC call
+ * @param {string} filePath - Absolute path of the file containing the component
+ * @param {string} fileContent - Source of the file
+ * @param {Object} ast - Parsed AST of the file
+ * @returns {Object|null} { typeName, props, unresolved } or null if the props are not typed
+ */
+function resolveComponentPropsType(componentPath, filePath, fileContent, ast) {
+  if (!componentPath || !componentPath.node) return null;
+
+  const typeNode = findPropsTypeNode(componentPath);
+  if (!typeNode) return null;
+
+  let moduleRecord = moduleCache.get(filePath);
+  if (!moduleRecord || moduleRecord.content !== fileContent) {
+    moduleRecord = indexModule(filePath, fileContent, ast);
+    moduleCache.set(filePath, moduleRecord);
+  }
+  const shape = resolveTypeNode(typeNode, moduleRecord, new Set());
+
+  return {
+    typeName: getSource(typeNode, fileContent),
+    props: shape.props,
+    unresolved: shape.unresolved
+  };
+}
+
+/**
+ * Clear parsed modules, e.g. between runs in the same process
+ */
+function clearTypeCache() {
+  moduleCache.clear();
+}
+
+export {
+  hasComponentTypeAnnotation,
+  resolveComponentPropsType,
+  clearTypeCache
+};
@@ -0,0 +1,342 @@
+// lib/cache.js
+
+import path from 'path';
+import crypto from 'crypto';
+
+import { logError, logDebug } from './logger.js';
+import { getFileSystem } from './file-system.js';
+
+const DEFAULT_CACHE_DIR = '.react-doc-gen';
+const REVIEW_PREFIX = 'review-';
+const EXPORT_VERSION = 1;
+
+// Units accepted by --older-than, in milliseconds
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+let cacheDir = null;
+let readEnabled = true;
+
+/**
+ * Initialize the cache
+ * @param {Object} [config] - Cache configuration
+ * @param {string} [config.cacheDir] - Cache directory, defaults to .react-doc-gen in the working directory
+ * @param {boolean} [config.enabled] - Whether cached docstrings are reused; new ones are stored either way
+ */
+function initCache({ cacheDir: dir, enabled = true } = {}) {
+  cacheDir = path.resolve(dir || DEFAULT_CACHE_DIR);
+  readEnabled = enabled;
+}
+
+/**
+ * Get the cache directory
+ * @returns {string} Absolute path
+ */
+function getCacheDir() {
+  if (!cacheDir) {
+    initCache();
+  }
+  return cacheDir;
+}
+
+/**
+ * Ensure the cache directory exists
+ */
+async function ensureCacheDirectory() {
+  try {
+    if (!getFileSystem().existsSync(getCacheDir())) {
+      await getFileSystem().promises.mkdir(getCacheDir(), { recursive: true });
+      logDebug(`Created documentation cache directory: ${getCacheDir()}`);
+    }
+  } catch (error) {
+    logError(`Error creating cache directory: ${error.message}`);
+  }
+}
+
+/**
+ * Build the cache key for a docstring request
+ *
+ * Output from one model or provider is never reused for another, and a new
+ * prompt version starts fresh entries.
+ * @param {string} contentHash - Hash of the component code and prompt details
+ * @param {Object} provider - Provider the request goes to
+ * @param {string} [promptVersion] - Version from getPromptTemplate
+ * @returns {string} Cache key
+ */
+function getDocCacheKey(contentHash, provider, promptVersion = '') {
+  return crypto
+    .createHash('md5')
+    .update(`${provider.name}\0${provider.model}\0${promptVersion}\0${contentHash}`)
+    .digest('hex');
+}
+
+/**
+ * Get the file path for a specific cache key
+ * @param {string} key - Cache key
+ * @returns {string} Path to the cache file
+ */
+function getCacheFilePath(key) {
+  return path.join(getCacheDir(), `${key}.json`);
+}
+
+/**
+ * Check if documentation for a cache key exists and may be reused
+ * @param {string} key - Cache key
+ * @returns {boolean} True if cache exists
+ */
+function docCacheExists(key) {
+  return readEnabled && getFileSystem().existsSync(getCacheFilePath(key));
+}
+
+/**
+ * Load documentation from cache
+ * @param {string} key - Cache key
+ * @returns {Promise<string|null>} The cached documentation or null if not found or the cache is disabled
+ */
+async function loadDocFromCache(key) {
+  if (!readEnabled) {
+    return null;
+  }
+  try {
+    const cachePath = getCacheFilePath(key);
+    if (getFileSystem().existsSync(cachePath)) {
+      const content = await getFileSystem().promises.readFile(cachePath, 'utf8');
+      const cacheData = JSON.parse(content);
+      return cacheData.docstring;
+    }
+  } catch (error) {
+    logError(`Error loading doc from cache (${key}): ${error.message}`);
+  }
+  return null;
+}
+
+/**
+ * Save documentation to cache
+ * @param {string} key - Cache key
+ * @param {string} docstring - Documentation to cache
+ * @param {Object} [metadata] - Component, file, provider, model and prompt version, shown by `cache list`
+ */
+async function saveDocToCache(key, docstring, metadata = {}) {
+  try {
+    await ensureCacheDirectory();
+    const cacheData = {
+      docstring,
+      ...metadata,
+      timestamp: new Date().toISOString()
+    };
+    await getFileSystem().promises.writeFile(getCacheFilePath(key), JSON.stringify(cacheData, null, 2), 'utf8');
+  } catch (error) {
+    logError(`Error saving doc to cache (${key}): ${error.message}`);
+  }
+}
+
+/**
+ * Load a remembered review decision for a component
+ * @param {string} hash - Component hash
+ * @returns {Promise<Object|null>} { action, docstring } or null if the component was never reviewed
+ */
+async function loadReviewDecision(hash) {
+  try {
+    const cachePath = getCacheFilePath(`${REVIEW_PREFIX}${hash}`);
+    if (getFileSystem().existsSync(cachePath)) {
+      const content = await getFileSystem().promises.readFile(cachePath, 'utf8');
+      const { action, docstring } = JSON.parse(content);
+      return { action, docstring };
+    }
+  } catch (error) {
+    logError(`Error loading review decision (${hash}): ${error.message}`);
+  }
+  return null;
+}
+
+/**
+ * Remember a review decision for a component
+ * @param {string} hash - Component hash
+ * @param {string} action - 'accept' or 'skip'
+ * @param {string|null} docstring - The accepted docstring
+ */
+async function saveReviewDecision(hash, action, docstring) {
+  try {
+    await ensureCacheDirectory();
+    const cacheData = {
+      action,
+      docstring,
+      timestamp: new Date().toISOString()
+    };
+    await getFileSystem().promises.writeFile(getCacheFilePath(`${REVIEW_PREFIX}${hash}`), JSON.stringify(cacheData, null, 2), 'utf8');
+  } catch (error) {
+    logError(`Error saving review decision (${hash}): ${error.message}`);
+  }
+}
+
+/**
+ * Read every entry in the cache directory
+ * @returns {Promise<Array<Object>>} { key, kind, size, time, data } sorted oldest first, where kind is 'doc' or 'review'
+ */
+async function readCacheEntries() {
+  if (!getFileSystem().existsSync(getCacheDir())) {
+    return [];
+  }
+
+  const entries = [];
+  for (const fileName of await getFileSystem().promises.readdir(getCacheDir())) {
+    if (!fileName.endsWith('.json')) continue;
+    const filePath = path.join(getCacheDir(), fileName);
+    const key = fileName.slice(0, -'.json'.length);
+    const { size, mtime } = await getFileSystem().promises.stat(filePath);
+
+    let data = {};
+    try {
+      data = JSON.parse(await getFileSystem().promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      logDebug(`Unreadable cache entry ${fileName}: ${error.message}`);
+    }
+
+    const time = Date.parse(data.timestamp) || mtime.getTime();
+    entries.push({ key, kind: key.startsWith(REVIEW_PREFIX) ? 'review' : 'doc', size, time, data });
+  }
+
+  return entries.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Summarize the cache contents
+ * @param {Array<Object>} entries - Entries from readCacheEntries
+ * @returns {Object} { docs, reviews, size, oldest, newest, byModel }
+ */
+function getCacheStats(entries) {
+  const byModel = {};
+  for (const entry of entries) {
+    if (entry.kind !== 'doc') continue;
+    // Entries written before keys included the model have no metadata
+    const model = entry.data.model ? `${entry.data.provider}/${entry.data.model}` : 'unknown';
+    byModel[model] = (byModel[model] || 0) + 1;
+  }
+
+  return {
+    docs: entries.filter(entry => entry.kind === 'doc').length,
+    reviews: entries.filter(entry => entry.kind === 'review').length,
+    size: entries.reduce((sum, entry) => sum + entry.size, 0),
+    oldest: entries.length > 0 ? new Date(entries[0].time) : null,
+    newest: entries.length > 0 ? new Date(entries[entries.length - 1].time) : null,
+    byModel
+  };
+}
+
+/**
+ * Parse a duration like 30d, 12h, 90m or 2w
+ * @param {string} text - Duration
+ * @returns {number} Milliseconds
+ * @throws {Error} When the duration cannot be read
+ */
+function parseDuration(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*([mhdw])$/);
+  if (!match) {
+    throw new Error(`Invalid duration "${text}" (expected a number followed by m, h, d or w, e.g. 30d)`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * Remove entries older than a given age
+ * @param {number} maxAgeMs - Maximum age in milliseconds
+ * @param {number} [now] - Current time
+ * @returns {Promise<number>} Number of entries removed
+ */
+async function pruneCache(maxAgeMs, now = Date.now()) {
+  const expired = (await readCacheEntries()).filter(entry => now - entry.time > maxAgeMs);
+  for (const entry of expired) {
+    await getFileSystem().promises.unlink(getCacheFilePath(entry.key));
+  }
+  return expired.length;
+}
+
+/**
+ * Remove every entry
+ * @returns {Promise<number>} Number of entries removed
+ */
+async function clearCache() {
+  const entries = await readCacheEntries();
+  for (const entry of entries) {
+    await getFileSystem().promises.unlink(getCacheFilePath(entry.key));
+  }
+  return entries.length;
+}
+
+/**
+ * Write every entry to a single JSON file, e.g. to share a warm cache with CI
+ * @param {string} filePath - Export file
+ * @returns {Promise<number>} Number of entries exported
+ */
+async function exportCache(filePath) {
+  const entries = await readCacheEntries();
+  const bundle = {
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries: Object.fromEntries(entries.map(entry => [entry.key, entry.data]))
+  };
+  await getFileSystem().promises.writeFile(filePath, JSON.stringify(bundle, null, 2), 'utf8');
+  return entries.length;
+}
+
+/**
+ * Add the entries of an export file, keeping local entries that are newer
+ * @param {string} filePath - File written by exportCache
+ * @returns {Promise<Object>} { imported, skipped }
+ */
+async function importCache(filePath) {
+  let bundle;
+  try {
+    bundle = JSON.parse(await getFileSystem().promises.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read cache export ${filePath}: ${error.message}`);
+  }
+  if (!bundle || bundle.version !== EXPORT_VERSION || typeof bundle.entries !== 'object') {
+    throw new Error(`${filePath} is not a cache export`);
+  }
+
+  await ensureCacheDirectory();
+  const local = new Map((await readCacheEntries()).map(entry => [entry.key, entry]));
+  let imported = 0;
+  let skipped = 0;
+
+  for (const [key, data] of Object.entries(bundle.entries)) {
+    // Keys become file names, so anything but a plain key is rejected
+    if (!/^[\w-]+$/.test(key)) {
+      skipped++;
+      continue;
+    }
+    const existing = local.get(key);
+    if (existing && existing.time >= (Date.parse(data.timestamp) || 0)) {
+      skipped++;
+      continue;
+    }
+    await getFileSystem().promises.writeFile(getCacheFilePath(key), JSON.stringify(data, null, 2), 'utf8');
+    imported++;
+  }
+
+  return { imported, skipped };
+}
+
+export {
+  initCache,
+  getCacheDir,
+  ensureCacheDirectory,
+  getDocCacheKey,
+  docCacheExists,
+  loadDocFromCache,
+  saveDocToCache,
+  loadReviewDecision,
+  saveReviewDecision,
+  readCacheEntries,
+  getCacheStats,
+  parseDuration,
+  pruneCache,
+  clearCache,
+  exportCache,
+  importCache
+};
@@ -0,0 +1,77 @@
+// lib/diff-utils.js
+
+import { structuredPatch } from 'diff';
+
+const COLORS = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m'
+};
+
+/**
+ * Create a unified diff for one file that `git apply` accepts
+ * @param {string} relativePath - Path of the file, relative to where the patch is applied
+ * @param {string} oldContent - Content before the change
+ * @param {string} newContent - Content after the change
+ * @returns {string} The patch, or an empty string if nothing changed
+ */
+function createFilePatch(relativePath, oldContent, newContent) {
+  if (oldContent === newContent) {
+    return '';
+  }
+
+  // Patches always use forward slashes, even on Windows
+  const patchPath = relativePath.split('\\').join('/');
+  const patch = structuredPatch(`a/${patchPath}`, `b/${patchPath}`, oldContent, newContent, '', '', { context: 3 });
+
+  const lines = [
+    `diff --git a/${patchPath} b/${patchPath}`,
+    `--- a/${patchPath}`,
+    `+++ b/${patchPath}`
+  ];
+
+  for (const hunk of patch.hunks) {
+    // An empty range starts at the line before it, as in GNU diff
+    const oldStart = hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+    const newStart = hunk.newLines === 0 ? hunk.newStart - 1 : hunk.newStart;
+    lines.push(`@@ -${oldStart},${hunk.oldLines} +${newStart},${hunk.newLines} @@`);
+    lines.push(...hunk.lines);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Check if diffs written to stdout should be colourised
+ */
+function shouldColorize(stream = process.stdout) {
+  return Boolean(stream.isTTY) && !('NO_COLOR' in process.env);
+}
+
+/**
+ * Add terminal colours to a unified diff
+ * @param {string} patch - Unified diff
+ * @returns {string} Colourised diff
+ */
+function colorizePatch(patch) {
+  return patch
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('diff --git') || line.startsWith('---') || line.startsWith('+++')) {
+        return `${COLORS.bold}${line}${COLORS.reset}`;
+      }
+      if (line.startsWith('@@')) return `${COLORS.cyan}${line}${COLORS.reset}`;
+      if (line.startsWith('+')) return `${COLORS.green}${line}${COLORS.reset}`;
+      if (line.startsWith('-')) return `${COLORS.red}${line}${COLORS.reset}`;
+      return line;
+    })
+    .join('\n');
+}
+
+export {
+  createFilePatch,
+  colorizePatch,
+  shouldColorize
+};
@@ -0,0 +1,33 @@
+// lib/file-system.js
+
+import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// The file system of the documentProject() call the current code runs for
+const storage = new AsyncLocalStorage();
+
+/**
+ * Get the file system source files are read from and written to
+ * @returns {Object} The injected file system, or Node's fs
+ */
+function getFileSystem() {
+  return storage.getStore() || fs;
+}
+
+/**
+ * Run a function with an injected file system, e.g. an in-memory one in tests
+ *
+ * The file system is kept per call, so concurrent runs with different file
+ * systems do not interfere.
+ * @param {Object|null} fileSystem - fs-compatible object, or null for Node's fs
+ * @param {Function} fn - Function to run
+ * @returns {*} What the function returns
+ */
+function runWithFileSystem(fileSystem, fn) {
+  return fileSystem ? storage.run(fileSystem, fn) : fn();
+}
+
+export {
+  getFileSystem,
+  runWithFileSystem
+};
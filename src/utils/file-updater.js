@@ -1,15 +1,19 @@
 // lib/file-updater.js
 
-import fs from 'fs';
 import path from 'path';
-import util from 'util';
-import {logVerbose} from './logger.js';
-const readFile = util.promisify(fs.readFile);
-const writeFile = util.promisify(fs.writeFile);
+import {logError, logInfo, logDebug} from './logger.js';
+import {isFingerprintStale} from './fingerprint.js';
+import {createFilePatch, colorizePatch, shouldColorize} from './diff-utils.js';
+import {resolveFileOptions} from '../config.js';
+import {extractComponentsFromFile} from '../extractor.js';
+import {mergeDocStrings} from './jsdoc-merger.js';
+import {getFileSystem} from './file-system.js';
 
 
 /**
  * Update all files with generated docstrings
+ *
+ * options.onFileUpdated, when given, is called with each file path and its result once the file is done.
  */
 async function updateFilesWithDocStrings(componentsByFile, docStrings, projectDir, options) {
   const results = {
@@ -17,34 +21,51 @@ async function updateFilesWithDocStrings(componentsByFile, docStrings, projectDi
     skipped: 0,
     failed: 0,
     filesProcessed: 0,
-    filesModified: 0
+    filesModified: 0,
+    modifiedFiles: [],
+    outcomes: {}
   };
+  const patches = [];
   
   // Process each file that contains components
   for (const [filePath, components] of Object.entries(componentsByFile)) {
-    console.log(`Updating file ${results.filesProcessed + 1}/${Object.keys(componentsByFile).length}: ${path.relative(projectDir, filePath)}`);
-    
-    // Count skipped components
-    const skippedComponents = components.filter(c => {
-      const docStringResult = docStrings[c.uniqueId];
-      return docStringResult && docStringResult.skipped;
-    }).length;
-    
-    results.skipped += skippedComponents;
+    logDebug(`Updating file ${results.filesProcessed + 1}/${Object.keys(componentsByFile).length}: ${path.relative(projectDir, filePath)}`);
     
     // Update the file with docstrings
     const fileResult = await updateFileWithDocStrings(filePath, components, docStrings, options);
     
+    // Collect the diff of what changed (or would change)
+    if (fileResult.modified) {
+      const patch = createFilePatch(path.relative(projectDir, filePath), fileResult.originalContent, fileResult.content);
+      patches.push(patch);
+      if (options.isDryRun) {
+        logInfo(shouldColorize() ? colorizePatch(patch) : patch);
+      }
+    }
+    
     // Update overall results
     results.success += fileResult.success;
+    results.skipped += fileResult.skipped;
     results.failed += fileResult.failed;
     results.filesProcessed++;
+    Object.assign(results.outcomes, fileResult.outcomes);
     
     if (fileResult.modified) {
       results.filesModified++;
+      results.modifiedFiles.push(filePath);
+    }
+    
+    if (options.onFileUpdated) {
+      options.onFileUpdated(filePath, fileResult);
     }
   }
   
+  // Write all changes as a single patch file for review
+  if (options.patchFile) {
+    await getFileSystem().promises.writeFile(options.patchFile, patches.join(''), 'utf8');
+    logInfo(`Wrote patch for ${patches.length} files to ${options.patchFile}`);
+  }
+  
   return results;
 }
 
@@ -68,168 +89,189 @@ function adjustPosition(originalPos, modificationPos, oldLength, newLength) {
 }
 /**
  * Update a file with documentation for all its components
+ *
+ * In dry-run or patch mode the changes are applied in memory only; the
+ * original and updated content are returned either way so callers can diff them.
  */
 async function updateFileWithDocStrings(filePath, components, docStrings, options) {
-  if (options.isDryRun) {
-    logVerbose(`[Dry run] Would update file: ${filePath}`);
-    return { success: components.length, failed: 0, modified: false };
-  }
+  options = resolveFileOptions(options, filePath);
+  const writeChanges = !options.isDryRun && !options.patchFile;
   
   try {
     // Read the file content
-    let content = await readFile(filePath, 'utf8');
+    let content = await getFileSystem().promises.readFile(filePath, 'utf8');
     const originalContent = content;
     
+    // Re-parse the file so every edit is anchored on the component's current AST position
+    const anchors = resolveAnchors(filePath, content, components);
+    
     // Sort components by their position in descending order
-    // This allows us to modify the file from bottom to top
+    // Editing from bottom to top leaves the positions of the components above unchanged
     const sortedComponents = [...components].sort((a, b) => b.startPos - a.startPos);
     
     let modified = false;
     let success = 0;
     let failed = 0;
     let skipped = 0;
+    // What happened to each component, keyed by uniqueId: { status, reason }
+    const outcomes = {};
     
     for (const component of sortedComponents) {
       const docStringResult = docStrings[component.uniqueId];
       
       // Skip if no docstring generated or marked as skipped
       if (!docStringResult || !docStringResult.docstring || docStringResult.skipped) {
-        logVerbose(`Skipping component ${component.name} in ${filePath}`);
+        logDebug(`Skipping component ${component.name} in ${filePath}`);
+        outcomes[component.uniqueId] = { status: 'skipped', reason: docStringResult && docStringResult.skipReason };
         skipped++;
         continue;
       }
       
       try {
-        // Get the original position from the unmodified content
-        const originalPosition = findComponentPosition(originalContent, component);
-        
-        // Find the corresponding position in the current content
-        const currentPosition = findComponentPosition(content, component);
-        
-        if (!currentPosition) {
-          console.error(`Could not locate component ${component.name} in file`);
+        const anchor = anchors.get(component.uniqueId);
+        if (!anchor) {
+          logError(`Could not locate component ${component.name} in file: the source changed since it was scanned`);
+          outcomes[component.uniqueId] = { status: 'failed', reason: 'the source changed since it was scanned' };
           failed++;
           continue;
         }
         
-        // Check for existing docstring
-        const existingDoc = findExistingDocString(content, currentPosition.start);
-        
-        if (existingDoc) {
-          if (options.updateExisting) {
-            // Replace existing docstring
-            content = content.substring(0, existingDoc.start) +
-                      docStringResult.docstring +
-                      content.substring(existingDoc.end);
+        if (anchor.existingComment) {
+          // Replace when asked to, or when the docs were generated for older code
+          const isStale = options.updateStale && isFingerprintStale(component, anchor.existingComment);
+          if (options.updateExisting || isStale || (options.mergeExisting && !options.updateStale)) {
+            // In merge mode only the description and @param tags are regenerated
+            const replacement = options.mergeExisting
+              ? mergeDocStrings(anchor.existingComment, docStringResult.docstring,
+                (component.subComponents || []).map(subComponent => subComponent.name))
+              : docStringResult.docstring;
+            
+            if (!replacement) {
+              logDebug(`Skipping ${component.name} - merged documentation is unchanged`);
+              outcomes[component.uniqueId] = { status: 'unchanged', reason: 'merged documentation is unchanged' };
+              skipped++;
+              continue;
+            }
             
-            logVerbose(`Updated existing documentation for ${component.name}`);
+            // Replace existing docstring, keeping the indentation of the line it starts on
+            const indent = getLineIndent(content, anchor.commentStart);
+            content = content.substring(0, anchor.commentStart) +
+                      indentDocString(replacement, indent).trimStart() +
+                      content.substring(anchor.commentEnd);
+            
+            logDebug(`${options.mergeExisting ? 'Merged' : 'Updated'} existing documentation for ${component.name}`);
+            outcomes[component.uniqueId] = { status: options.mergeExisting ? 'merged' : 'updated' };
             modified = true;
             success++;
           } else {
-            logVerbose(`Skipping ${component.name} - already has documentation`);
+            logDebug(`Skipping ${component.name} - already has documentation`);
+            outcomes[component.uniqueId] = { status: 'skipped', reason: 'already has documentation' };
             skipped++;
           }
         } else {
-          // Find proper insertion point (beginning of line where component starts)
-          const beforeComponent = content.substring(0, currentPosition.start);
-          const lastNewline = beforeComponent.lastIndexOf('\n');
-          const insertPos = lastNewline === -1 ? 0 : lastNewline + 1;
+          // Insert at the beginning of the line where the component starts, at the same indentation
+          const insertPos = getLineStart(content, anchor.startPos);
+          const indent = getLineIndent(content, anchor.startPos);
           
-          // Add docstring at insert position
           content = content.substring(0, insertPos) +
-                    docStringResult.docstring + '\n' +
+                    indentDocString(docStringResult.docstring, indent) + '\n' +
                     content.substring(insertPos);
           
-          logVerbose(`Added documentation for ${component.name}`);
+          logDebug(`Added documentation for ${component.name}`);
+          outcomes[component.uniqueId] = { status: 'added' };
           modified = true;
           success++;
         }
       } catch (err) {
-        console.error(`Error adding documentation to ${component.name}: ${err.message}`);
+        logError(`Error adding documentation to ${component.name}: ${err.message}`);
+        outcomes[component.uniqueId] = { status: 'failed', reason: err.message };
         failed++;
       }
     }
     
     // Only write the file if modifications were made
-    if (modified) {
-      await writeFile(filePath, content, 'utf8');
-      logVerbose(`Updated file: ${filePath}`);
+    if (modified && writeChanges) {
+      await getFileSystem().promises.writeFile(filePath, content, 'utf8');
+      logDebug(`Updated file: ${filePath}`);
+    } else if (modified) {
+      logDebug(`[Dry run] Would update file: ${filePath}`);
     }
     
-    return { success, failed, skipped, modified };
+    return { success, failed, skipped, modified, originalContent, content, outcomes };
   } catch (error) {
-    console.error(`Error updating file ${filePath}: ${error.message}`);
-    return { success: 0, failed: components.length, skipped: 0, modified: false };
+    logError(`Error updating file ${filePath}: ${error.message}`);
+    const outcomes = Object.fromEntries(components.map(component => [component.uniqueId, { status: 'failed', reason: error.message }]));
+    return { success: 0, failed: components.length, skipped: 0, modified: false, outcomes };
   }
 }
 
 /**
- * Find the current position of a component in content
+ * Match each component to its position in a fresh parse of the file
+ *
+ * A component whose code still sits at the position the extractor recorded is
+ * used as is. If the file changed since it was scanned, a single component with
+ * the same name and code is accepted; anything else has no valid anchor.
+ * @param {string} filePath - Absolute file path
+ * @param {string} content - Current file content
+ * @param {Array<Object>} components - Component records from the extractor
+ * @returns {Map<string, Object>} Fresh component records keyed by the original uniqueId
  */
-function findComponentPosition(content, component) {
-  const componentSignature = getComponentSignature(component);
-  
-  // Try to find the component by its signature
-  const signatureIndex = content.indexOf(componentSignature);
-  
-  if (signatureIndex === -1) {
-    return null;
+function resolveAnchors(filePath, content, components) {
+  const anchors = new Map();
+  if (components.length === 0) {
+    return anchors;
   }
   
-  // Look for the start of the line containing the component
-  const beforeSignature = content.substring(0, signatureIndex);
-  const lastNewline = beforeSignature.lastIndexOf('\n');
-  const lineStart = lastNewline === -1 ? 0 : lastNewline + 1;
-  
-  // Check for export keyword
-  let exportStart = lineStart;
-  const lineContent = content.substring(lineStart, signatureIndex);
+  const fresh = extractComponentsFromFile(filePath, content, components[0].file);
   
-  if (lineContent.trim().startsWith('export')) {
-    exportStart = lineStart;
+  for (const component of components) {
+    let match = fresh.find(candidate =>
+      candidate.name === component.name &&
+      candidate.startPos === component.startPos &&
+      candidate.code === component.code);
+    
+    if (!match) {
+      const candidates = fresh.filter(candidate => candidate.name === component.name && candidate.code === component.code);
+      if (candidates.length === 1) {
+        logDebug(`${component.name} moved since it was scanned, using its new position`);
+        match = candidates[0];
+      }
+    }
+    
+    if (match) {
+      anchors.set(component.uniqueId, match);
+    }
   }
   
-  return {
-    start: exportStart,
-    signatureStart: signatureIndex,
-    signatureEnd: signatureIndex + componentSignature.length
-  };
+  return anchors;
 }
 
 /**
- * Get a unique signature to identify a component
+ * Get the position where the line containing a position starts
  */
-function getComponentSignature(component) {
-  // Get first line of component code
-  const firstLine = component.code.split('\n')[0].trim();
-  return firstLine;
+function getLineStart(content, position) {
+  return content.lastIndexOf('\n', position - 1) + 1;
 }
 
 /**
- * Find existing docstring before a position
+ * Get the leading whitespace of the line containing a position
  */
-function findExistingDocString(content, position) {
-  // Get content before component
-  const before = content.substring(0, position).trim();
-  
-  // Check if there's a JSDoc comment ending right before
-  if (!before.endsWith('*/')) {
-    return null;
-  }
-  
-  // Find the start of this docstring
-  const docEnd = before.lastIndexOf('*/');
-  const docStart = before.lastIndexOf('/**', docEnd);
-  
-  if (docStart === -1) {
-    return null;
+function getLineIndent(content, position) {
+  const lineStart = getLineStart(content, position);
+  return content.substring(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Indent every line of a docstring
+ */
+function indentDocString(docString, indent) {
+  if (!indent) {
+    return docString;
   }
-  
-  return {
-    start: docStart,
-    end: docEnd + 2,
-    content: before.substring(docStart, docEnd + 2)
-  };
+  return docString
+    .split('\n')
+    .map(line => indent + line)
+    .join('\n');
 }
 
 export {
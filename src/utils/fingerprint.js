@@ -0,0 +1,93 @@
+// lib/fingerprint.js
+
+import { calculateComponentHash } from './openai-utils.js';
+
+const FINGERPRINT_TAG = '@docgen-hash';
+const FINGERPRINT_LENGTH = 12;
+const FINGERPRINT_PATTERN = new RegExp(`${FINGERPRINT_TAG}\\s+([0-9a-f]+)`);
+
+const COMMENT_TOKENS = ['CommentBlock', 'CommentLine'];
+
+/**
+ * Rebuild the code between two positions from its Babel tokens, dropping comments
+ *
+ * The doc comments written for nested components (styled parts defined in
+ * a function body, static sub-components of a class) are inside a
+ * component's code and must not change its fingerprint.
+ * @param {string} source - File content
+ * @param {Object[]} tokens - Tokens of the file, parsed with `tokens: true`
+ * @param {number} start - Start position of the component
+ * @param {number} end - End position of the component
+ * @returns {string} The code's tokens separated by single spaces
+ */
+function getCodeWithoutComments(source, tokens, start, end) {
+  return tokens
+    .filter(token => token.start >= start && token.end <= end && !COMMENT_TOKENS.includes(token.type))
+    .map(token => source.slice(token.start, token.end))
+    .join(' ');
+}
+
+/**
+ * Compute the fingerprint of a component's code, excluding its doc comment
+ * @param {Object} component - Component record from the extractor
+ * @returns {string} Short hex fingerprint
+ */
+function getComponentFingerprint(component) {
+  // Normalize line endings so checkouts on different platforms agree
+  const code = (component.codeWithoutComments ?? component.code).replace(/\r\n/g, '\n').trim();
+  return calculateComponentHash(code).substring(0, FINGERPRINT_LENGTH);
+}
+
+/**
+ * Read the fingerprint embedded in a doc comment
+ * @param {string} comment - JSDoc comment
+ * @returns {string|null} The fingerprint or null if the comment has none
+ */
+function readFingerprint(comment) {
+  if (!comment) return null;
+  const match = comment.match(FINGERPRINT_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Embed a fingerprint tag in a docstring, replacing any existing one
+ * @param {string} docstring - JSDoc comment ending with * /
+ * @param {string} fingerprint - Fingerprint to embed
+ * @returns {string} Docstring with the fingerprint tag as its last line
+ */
+function addFingerprint(docstring, fingerprint) {
+  const lines = docstring
+    .split('\n')
+    .filter(line => !line.includes(FINGERPRINT_TAG));
+
+  // Insert before the closing line, or split a one-line comment
+  const last = lines.length - 1;
+  if (lines[last].trim() === '*/') {
+    lines.splice(last, 0, ` * ${FINGERPRINT_TAG} ${fingerprint}`);
+  } else {
+    lines[last] = lines[last].replace(/\s*\*\/\s*$/, '');
+    lines.push(` * ${FINGERPRINT_TAG} ${fingerprint}`, ' */');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Check if a component's existing docs were generated for different code
+ * @param {Object} component - Component record from the extractor
+ * @param {string} comment - The component's current doc comment
+ * @returns {boolean} True if the comment carries a fingerprint that no longer matches
+ */
+function isFingerprintStale(component, comment) {
+  const embedded = readFingerprint(comment);
+  return embedded !== null && embedded !== getComponentFingerprint(component);
+}
+
+export {
+  FINGERPRINT_TAG,
+  getCodeWithoutComments,
+  getComponentFingerprint,
+  readFingerprint,
+  addFingerprint,
+  isFingerprintStale
+};
@@ -0,0 +1,104 @@
+// lib/git.js
+
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+import { execFile } from 'child_process';
+
+const execFileAsync = util.promisify(execFile);
+
+/**
+ * Run a git command and return its output
+ * @param {Array<string>} args - Git arguments
+ * @param {string} cwd - Directory to run in
+ * @returns {Promise<string>} Standard output
+ * @throws {Error} With git's own message when the command fails
+ */
+async function runGit(args, cwd) {
+  try {
+    const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 });
+    return stdout;
+  } catch (error) {
+    const message = (error.stderr || error.message).trim();
+    throw new Error(`git ${args[0]} failed: ${message}`);
+  }
+}
+
+/**
+ * Split NUL-separated git output (-z) into absolute paths of files that still exist
+ */
+function toExistingPaths(output, gitRoot) {
+  return output
+    .split('\0')
+    .filter(Boolean)
+    .map(file => path.resolve(gitRoot, file))
+    .filter(file => fs.existsSync(file));
+}
+
+/**
+ * Get the root of the repository a directory belongs to
+ * @param {string} dir - Directory inside the repository
+ * @returns {Promise<string>} Absolute path of the work tree root
+ */
+async function getGitRoot(dir) {
+  return (await runGit(['rev-parse', '--show-toplevel'], dir)).trim();
+}
+
+/**
+ * Get the files added, copied, modified or renamed since a ref, including uncommitted and untracked ones
+ * @param {string} dir - Directory inside the repository
+ * @param {string} ref - Commit, branch or tag to compare against
+ * @returns {Promise<Array<string>>} Absolute file paths
+ */
+async function getChangedFiles(dir, ref) {
+  const gitRoot = await getGitRoot(dir);
+  try {
+    await runGit(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], gitRoot);
+  } catch (error) {
+    throw new Error(`Unknown git ref: ${ref}`);
+  }
+
+  const changed = await runGit(['diff', '--name-only', '-z', '--diff-filter=ACMR', ref, '--'], gitRoot);
+  const untracked = await runGit(['ls-files', '--others', '--exclude-standard', '-z'], gitRoot);
+  return [...new Set([...toExistingPaths(changed, gitRoot), ...toExistingPaths(untracked, gitRoot)])];
+}
+
+/**
+ * Get the files added, copied, modified or renamed in the index
+ * @param {string} dir - Directory inside the repository
+ * @returns {Promise<Array<string>>} Absolute file paths
+ */
+async function getStagedFiles(dir) {
+  const gitRoot = await getGitRoot(dir);
+  return toExistingPaths(await runGit(['diff', '--cached', '--name-only', '-z', '--diff-filter=ACMR'], gitRoot), gitRoot);
+}
+
+/**
+ * Get the files with changes in the work tree that are not staged
+ * @param {string} dir - Directory inside the repository
+ * @returns {Promise<Array<string>>} Absolute file paths
+ */
+async function getUnstagedFiles(dir) {
+  const gitRoot = await getGitRoot(dir);
+  return toExistingPaths(await runGit(['diff', '--name-only', '-z'], gitRoot), gitRoot);
+}
+
+/**
+ * Add files to the index
+ * @param {string} dir - Directory inside the repository
+ * @param {Array<string>} files - Absolute file paths
+ */
+async function stageFiles(dir, files) {
+  if (files.length === 0) {
+    return;
+  }
+  await runGit(['add', '--', ...files], dir);
+}
+
+export {
+  getGitRoot,
+  getChangedFiles,
+  getStagedFiles,
+  getUnstagedFiles,
+  stageFiles
+};
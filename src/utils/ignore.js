@@ -0,0 +1,214 @@
+// lib/ignore.js
+
+import path from 'path';
+import { Minimatch } from 'minimatch';
+
+import { logError, logTrace } from './logger.js';
+import { getFileSystem } from './file-system.js';
+
+// Read in every directory, later files taking precedence within a directory
+const IGNORE_FILES = ['.gitignore', '.react-docaiignore'];
+
+// Never worth scanning, whether or not the project ignores them
+const DEFAULT_PATTERNS = ['node_modules/', '.git/'];
+
+/**
+ * Parse ignore file content into rules, following gitignore syntax
+ *
+ * A trailing slash matches directories only. A pattern with a slash at the
+ * start or in the middle is anchored to the directory of the ignore file;
+ * any other pattern matches a name at any depth below it. Rules keep their
+ * order so the last matching one, negated or not, decides.
+ * @param {string} content - Ignore file content
+ * @param {string} baseDir - Directory the patterns are relative to
+ * @returns {Array<Object>} Rules
+ */
+function parseIgnorePatterns(content, baseDir) {
+  const rules = [];
+
+  for (const rawLine of content.split('\n')) {
+    // Trailing spaces are dropped unless escaped with a backslash
+    let line = rawLine.replace(/\r$/, '').replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+
+    let negate = false;
+    if (line.startsWith('!')) {
+      negate = true;
+      line = line.substring(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.substring(1);
+    }
+
+    const dirOnly = line.endsWith('/');
+    if (dirOnly) {
+      line = line.replace(/\/+$/, '');
+    }
+    if (!line) continue;
+
+    const anchored = line.includes('/');
+    const pattern = line.replace(/^\//, '');
+    const glob = anchored ? pattern : `**/${pattern}`;
+
+    rules.push({
+      pattern: rawLine.trim(),
+      negate,
+      dirOnly,
+      baseDir,
+      matcher: new Minimatch(glob, { dot: true })
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Read the ignore files of a single directory
+ */
+function readIgnoreRules(dir) {
+  const fs = getFileSystem();
+  const rules = [];
+  for (const fileName of IGNORE_FILES) {
+    const filePath = path.join(dir, fileName);
+    try {
+      if (fs.existsSync(filePath)) {
+        const fileRules = parseIgnorePatterns(fs.readFileSync(filePath, 'utf8'), dir);
+        logTrace(`Loaded ${fileRules.length} ignore patterns from ${filePath}`);
+        rules.push(...fileRules);
+      }
+    } catch (error) {
+      logError(`Error loading ${filePath}: ${error.message}`);
+    }
+  }
+  return rules;
+}
+
+/**
+ * Find the closest directory at or above a directory that contains .git
+ */
+function findGitRoot(dir) {
+  let current = path.resolve(dir);
+  while (true) {
+    if (getFileSystem().existsSync(path.join(current, '.git'))) {
+      return current;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Check a path against rules; the last matching rule wins
+ * @param {Array<Object>} rules - Rules that apply in the path's directory
+ * @param {string} fullPath - Absolute path
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean} Whether the path is ignored
+ */
+function matchesRules(rules, fullPath, isDirectory) {
+  let ignored = false;
+
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue;
+    if (ignored === !rule.negate) continue;
+
+    const relativePath = path.relative(rule.baseDir, fullPath).split(path.sep).join('/');
+    if (rule.matcher.match(relativePath)) {
+      ignored = !rule.negate;
+      logTrace(`${ignored ? 'Ignoring' : 'Un-ignoring'} ${relativePath} based on pattern ${rule.pattern}`);
+    }
+  }
+
+  return ignored;
+}
+
+/**
+ * Create an ignore filter for a project, with git's semantics
+ *
+ * Ignore files are read from the repository root (the closest directory with
+ * .git) down to each scanned directory, so patterns of a nested file override
+ * the ones above it. As in git, nothing inside an ignored directory can be
+ * re-included.
+ * @param {string} rootDir - Project directory
+ * @returns {Object} Filter with getRules(dir), matches(rules, path, isDirectory) and ignores(path, isDirectory)
+ */
+function createIgnoreFilter(rootDir) {
+  const topDir = findGitRoot(rootDir) || path.resolve(rootDir);
+  const rulesByDir = new Map();
+
+  /**
+   * Get the rules that apply to the entries of a directory
+   */
+  function getRules(dir) {
+    dir = path.resolve(dir);
+    if (!rulesByDir.has(dir)) {
+      const parent = path.dirname(dir);
+      const inherited = dir === topDir || parent === dir
+        ? parseIgnorePatterns(DEFAULT_PATTERNS.join('\n'), dir)
+        : getRules(parent);
+      rulesByDir.set(dir, [...inherited, ...readIgnoreRules(dir)]);
+    }
+    return rulesByDir.get(dir);
+  }
+
+  return {
+    getRules,
+    matches: matchesRules,
+
+    /**
+     * Check a single path, including whether one of its parent directories is ignored
+     * @param {string} fullPath - Absolute path
+     * @param {boolean} [isDirectory] - Whether the path is a directory
+     * @returns {boolean} Whether the path is ignored
+     */
+    ignores(fullPath, isDirectory = false) {
+      const target = path.resolve(fullPath);
+      const relative = path.relative(topDir, target);
+      if (!relative || relative.startsWith('..')) {
+        return false;
+      }
+
+      let current = topDir;
+      const segments = relative.split(path.sep);
+      for (const [index, segment] of segments.entries()) {
+        const next = path.join(current, segment);
+        const last = index === segments.length - 1;
+        if (matchesRules(getRules(current), next, last ? isDirectory : true)) {
+          return true;
+        }
+        current = next;
+      }
+      return false;
+    }
+  };
+}
+
+/**
+ * Check a file against a list of patterns, without reading any ignore file
+ *
+ * Patterns follow the same gitignore syntax as createIgnoreFilter(), and a
+ * file inside an ignored directory is ignored too.
+ * @param {string} filePath - Path of the file
+ * @param {string[]} ignorePatterns - Patterns, `!` negating an earlier one
+ * @param {string} baseDir - Directory the patterns are relative to
+ * @returns {boolean} Whether the file is ignored
+ */
+function isIgnored(filePath, ignorePatterns, baseDir) {
+  const rules = parseIgnorePatterns(ignorePatterns.join('\n'), baseDir);
+  const relative = path.relative(baseDir, path.resolve(baseDir, filePath));
+  if (!relative || relative.startsWith('..')) {
+    return false;
+  }
+
+  const segments = relative.split(path.sep);
+  return segments.some((segment, index) =>
+    matchesRules(rules, path.join(baseDir, ...segments.slice(0, index + 1)), index < segments.length - 1));
+}
+
+export {
+  IGNORE_FILES,
+  parseIgnorePatterns,
+  createIgnoreFilter,
+  isIgnored
+};
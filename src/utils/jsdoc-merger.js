@@ -0,0 +1,158 @@
+// lib/jsdoc-merger.js
+
+import { parseJSDoc } from './jsdoc-parser.js';
+import { FINGERPRINT_TAG } from './fingerprint.js';
+
+// Tags the generator owns; everything else in the existing block is kept
+const PARAM_TAGS = ['param', 'arg', 'argument'];
+const DESCRIPTION_TAGS = ['description', 'desc'];
+const FINGERPRINT_TAG_NAME = FINGERPRINT_TAG.substring(1);
+
+// Hand-written sections marked with this tag are kept verbatim, e.g. migration notes
+const PRESERVE_TAG = 'docgen-preserve';
+
+/**
+ * Render a parsed tag back into comment lines
+ */
+function renderTag(tag) {
+  const [first, ...rest] = tag.raw.replace(/\s+$/, '').split('\n');
+  return [`@${tag.tag}${first ? ` ${first}` : ''}`, ...rest];
+}
+
+/**
+ * Collapse whitespace so rewrapped text compares equal
+ */
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the fingerprint of a parsed block, or null if it has none
+ */
+function getFingerprint(parsed) {
+  const tag = parsed.tags.find(tag => tag.tag === FINGERPRINT_TAG_NAME);
+  return tag ? tag.raw.trim() : null;
+}
+
+/**
+ * Check if a tag is the @see tag generated for one of a parent's sub-components
+ */
+function isSubComponentTag(tag, subComponentNames) {
+  return tag.tag === 'see' && subComponentNames.includes(tag.raw.trim());
+}
+
+/**
+ * Split a parsed description into the free text before the first tag and
+ * the text of its @description tags, which parseJSDoc joins together
+ */
+function splitDescription(parsed) {
+  const tagText = parsed.tags
+    .filter(tag => DESCRIPTION_TAGS.includes(tag.tag))
+    .map(tag => tag.description)
+    .filter(Boolean)
+    .join('\n\n');
+  if (!tagText || !parsed.description.endsWith(tagText)) {
+    return { summary: parsed.description, tagText: '' };
+  }
+  return { summary: parsed.description.slice(0, -tagText.length).trim(), tagText };
+}
+
+/**
+ * Render the merged description, as an @description tag when the existing block wrote it that way
+ * @returns {string[]} Comment lines
+ */
+function renderDescription(oldDoc, newDoc) {
+  const oldTag = oldDoc.tags.find(tag => DESCRIPTION_TAGS.includes(tag.tag));
+  if (!oldTag) {
+    return newDoc.description ? newDoc.description.split('\n') : [];
+  }
+
+  // A generated block without its own @description tag moves all of its text into the tag
+  const { summary, tagText } = splitDescription(newDoc);
+  const lines = tagText && summary ? summary.split('\n') : [];
+  const text = tagText || summary;
+  if (text) {
+    lines.push(...renderTag({ tag: oldTag.tag, raw: text }));
+  }
+  return lines;
+}
+
+/**
+ * Describe the parts of a block that merging regenerates, for change detection
+ */
+function getRegeneratedParts(parsed, subComponentNames) {
+  return JSON.stringify({
+    description: normalizeText(parsed.description),
+    fingerprint: getFingerprint(parsed),
+    subComponents: parsed.tags.filter(tag => isSubComponentTag(tag, subComponentNames)).map(tag => tag.raw.trim()),
+    params: parsed.tags
+      .filter(tag => PARAM_TAGS.includes(tag.tag))
+      .map(tag => [tag.name, normalizeText(tag.type), tag.optional, tag.defaultValue, normalizeText(tag.description)])
+  });
+}
+
+/**
+ * Merge freshly generated docs into an existing hand-edited block
+ *
+ * The description and @param tags come from the generated block; every other
+ * tag of the existing block (@deprecated, @see, @example, @docgen-preserve
+ * sections, ...) is kept as written. A description the existing block wrote
+ * as an @description tag stays one. A generated @param without a description
+ * keeps the one already written for the same name. The generated @docgen-hash
+ * replaces the old one, so code changes that leave the docs as they are still
+ * clear the stale state, and the @see tags of sub-components are regenerated too.
+ * @param {string} existing - Existing JSDoc comment
+ * @param {string} generated - Newly generated JSDoc comment
+ * @param {string[]} [subComponentNames] - Names of the component's sub-components, e.g. Tabs.Panel
+ * @returns {string|null} Merged comment, or null when nothing meaningful changed
+ */
+function mergeDocStrings(existing, generated, subComponentNames = []) {
+  const oldDoc = parseJSDoc(existing);
+  const newDoc = parseJSDoc(generated);
+
+  const oldParams = new Map(
+    oldDoc.tags.filter(tag => PARAM_TAGS.includes(tag.tag)).map(tag => [tag.name, tag])
+  );
+  const params = newDoc.tags
+    .filter(tag => PARAM_TAGS.includes(tag.tag))
+    .map(tag => {
+      const previous = oldParams.get(tag.name);
+      if (!tag.description && previous && previous.description) {
+        return { ...tag, description: previous.description, raw: `${tag.raw.trimEnd()} - ${previous.description}` };
+      }
+      return tag;
+    });
+
+  const subComponentTags = newDoc.tags.filter(tag => isSubComponentTag(tag, subComponentNames));
+  const fingerprint = newDoc.tags.find(tag => tag.tag === FINGERPRINT_TAG_NAME);
+  const merged = {
+    description: newDoc.description,
+    tags: [...params, ...subComponentTags, ...(fingerprint ? [fingerprint] : [])]
+  };
+
+  if (getRegeneratedParts(merged, subComponentNames) === getRegeneratedParts(oldDoc, subComponentNames)) {
+    return null;
+  }
+
+  const kept = oldDoc.tags.filter(tag =>
+    !PARAM_TAGS.includes(tag.tag) &&
+    !DESCRIPTION_TAGS.includes(tag.tag) &&
+    !isSubComponentTag(tag, subComponentNames) &&
+    tag.tag !== FINGERPRINT_TAG_NAME);
+  const preserved = kept.filter(tag => tag.tag === PRESERVE_TAG);
+  const others = kept.filter(tag => tag.tag !== PRESERVE_TAG);
+
+  // Preserved sections stay right after the description they usually extend
+  const lines = renderDescription(oldDoc, newDoc);
+  const tagLines = [...preserved, ...params, ...others, ...subComponentTags, ...(fingerprint ? [fingerprint] : [])].flatMap(renderTag);
+  if (lines.length > 0 && tagLines.length > 0) {
+    lines.push('');
+  }
+  lines.push(...tagLines);
+
+  return ['/**', ...lines.map(line => (line ? ` * ${line}` : ' *')), ' */'].join('\n');
+}
+
+export {
+  mergeDocStrings
+};
@@ -0,0 +1,168 @@
+// lib/jsdoc-parser.js
+
+// Tags whose text is `{type} name description`
+const NAMED_TAGS = ['param', 'arg', 'argument', 'property', 'prop'];
+
+// Tags whose text is `{type} description`
+const TYPED_TAGS = ['returns', 'return', 'throws', 'type'];
+
+/**
+ * Read a `{...}` type expression with balanced braces from the start of text
+ * @returns {{type: string|null, rest: string}}
+ */
+function readType(text) {
+  const trimmed = text.trimStart();
+  if (!trimmed.startsWith('{')) {
+    return { type: null, rest: trimmed };
+  }
+
+  let depth = 0;
+  for (let i = 0; i < trimmed.length; i++) {
+    if (trimmed[i] === '{') depth++;
+    if (trimmed[i] === '}') depth--;
+    if (depth === 0) {
+      return { type: trimmed.substring(1, i).trim(), rest: trimmed.substring(i + 1).trimStart() };
+    }
+  }
+
+  // Unbalanced braces: treat the whole text as the type
+  return { type: trimmed.substring(1).trim(), rest: '', unbalanced: true };
+}
+
+/**
+ * Read a parameter name, which may be optional with a default: [name=default]
+ * @returns {{name: string, optional: boolean, defaultValue: string|null, rest: string}}
+ */
+function readName(text) {
+  if (text.startsWith('[')) {
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '[') depth++;
+      if (text[i] === ']') depth--;
+      if (depth === 0) {
+        const inner = text.substring(1, i);
+        const equals = inner.indexOf('=');
+        return {
+          name: (equals === -1 ? inner : inner.substring(0, equals)).trim(),
+          optional: true,
+          defaultValue: equals === -1 ? null : inner.substring(equals + 1).trim(),
+          rest: text.substring(i + 1)
+        };
+      }
+    }
+  }
+
+  const match = text.match(/^(\S*)([\s\S]*)$/);
+  return { name: match[1], optional: false, defaultValue: null, rest: match[2] };
+}
+
+/**
+ * Strip a leading dash separator from a tag description
+ */
+function readDescription(text) {
+  return text.replace(/^\s*-\s*/, '').trim();
+}
+
+/**
+ * Parse a single block tag
+ * @param {string} tag - Tag name without the @
+ * @param {string} text - Everything after the tag name, possibly multi-line
+ * @returns {Object} Parsed tag
+ */
+function parseTag(tag, text) {
+  const parsed = {
+    tag,
+    type: null,
+    name: null,
+    optional: false,
+    defaultValue: null,
+    description: '',
+    raw: text
+  };
+
+  if (NAMED_TAGS.includes(tag)) {
+    const typeResult = readType(text);
+    const nameResult = readName(typeResult.rest);
+    parsed.type = typeResult.type;
+    parsed.unbalanced = Boolean(typeResult.unbalanced);
+    parsed.name = nameResult.name || null;
+    parsed.optional = nameResult.optional;
+    parsed.defaultValue = nameResult.defaultValue;
+    parsed.description = readDescription(nameResult.rest);
+  } else if (TYPED_TAGS.includes(tag)) {
+    const typeResult = readType(text);
+    parsed.type = typeResult.type;
+    parsed.unbalanced = Boolean(typeResult.unbalanced);
+    parsed.description = readDescription(typeResult.rest);
+  } else if (tag === 'example') {
+    // Keep examples verbatim, only dropping the surrounding blank lines
+    parsed.description = text.replace(/^\s*\n/, '').replace(/\s+$/, '');
+  } else {
+    parsed.description = text.trim();
+  }
+
+  return parsed;
+}
+
+/**
+ * Get the lines of a comment body without the delimiters and leading asterisks
+ * @param {string} comment - JSDoc comment
+ * @returns {Array<string>} Body lines
+ */
+function getCommentLines(comment) {
+  const body = comment
+    .trim()
+    .replace(/^\/\*\*/, '')
+    .replace(/\*\/$/, '');
+
+  return body
+    .split('\n')
+    .map(line => line.replace(/^\s*\* ?/, '').replace(/\s+$/, ''));
+}
+
+/**
+ * Parse a JSDoc comment into its description and block tags
+ * @param {string} comment - JSDoc comment, including the delimiters
+ * @returns {{description: string, tags: Array<Object>}} Parsed comment
+ */
+function parseJSDoc(comment) {
+  if (!comment) {
+    return { description: '', tags: [] };
+  }
+
+  const lines = getCommentLines(comment);
+  const summaryLines = [];
+  const rawTags = [];
+
+  for (const line of lines) {
+    const tagMatch = line.match(/^\s*@(\w[\w-]*)\s?(.*)$/);
+    if (tagMatch) {
+      rawTags.push({ tag: tagMatch[1], lines: [tagMatch[2]] });
+    } else if (rawTags.length > 0) {
+      rawTags[rawTags.length - 1].lines.push(line);
+    } else {
+      summaryLines.push(line);
+    }
+  }
+
+  const tags = rawTags.map(({ tag, lines: tagLines }) => parseTag(tag, tagLines.join('\n')));
+
+  // @description text joins any free text that precedes the first tag
+  const descriptionParts = [summaryLines.join('\n').trim()];
+  for (const tag of tags) {
+    if (tag.tag === 'description' || tag.tag === 'desc') {
+      descriptionParts.push(tag.description);
+    }
+  }
+
+  return {
+    description: descriptionParts.filter(Boolean).join('\n\n'),
+    tags
+  };
+}
+
+export {
+  parseJSDoc,
+  parseTag,
+  getCommentLines
+};
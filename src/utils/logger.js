@@ -1,13 +1,130 @@
 // lib/logger.js
 
-let isVerbose = false;
+// From least to most detailed; a level shows its own messages and all before it
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug', 'trace'];
+const LOG_FORMATS = ['text', 'json'];
+
+const PROGRESS_WIDTH = 30;
+
+let currentLevel = LOG_LEVELS.indexOf('info');
+let logFormat = 'text';
+let allToStderr = false;
+let progress = null;
+let streamsGuarded = false;
 
 /**
  * Initialize the logger
- * @param {boolean} verbose - Whether to enable verbose logging
+ *
+ * A boolean is still accepted and means verbose (debug) logging.
+ * @param {Object|boolean} [options] - Logger options
+ * @param {string} [options.level='info'] - One of LOG_LEVELS
+ * @param {string} [options.format='text'] - 'text' or 'json' (one JSON object per line)
+ * @param {boolean} [options.stderr=false] - Write every level to stderr, keeping stdout free for data
+ */
+function initLogger(options = {}) {
+  if (typeof options === 'boolean') {
+    options = { level: options ? 'debug' : 'info' };
+  }
+  const level = options.level || 'info';
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}" (expected one of ${LOG_LEVELS.join(', ')})`);
+  }
+  currentLevel = LOG_LEVELS.indexOf(level);
+  logFormat = options.format || 'text';
+  allToStderr = options.stderr || false;
+}
+
+/**
+ * Check whether messages of a level are shown
+ * @param {string} level - One of LOG_LEVELS
+ * @returns {boolean}
+ */
+function isLevelEnabled(level) {
+  return LOG_LEVELS.indexOf(level) <= currentLevel;
+}
+
+/**
+ * Ignore broken pipes, e.g. from `react-docai cache list | head`, instead of crashing
+ *
+ * Writing to a stream without an error listener throws once its reader has
+ * closed; other stream errors are still raised.
+ */
+function guardStreams() {
+  if (streamsGuarded) {
+    return;
+  }
+  for (const stream of [process.stdout, process.stderr]) {
+    stream.on('error', (error) => {
+      if (error.code !== 'EPIPE') {
+        throw error;
+      }
+    });
+  }
+  streamsGuarded = true;
+}
+
+/**
+ * Write one message, keeping a live progress bar below it
+ */
+function writeLog(level, message, fields) {
+  if (!isLevelEnabled(level)) {
+    return;
+  }
+  guardStreams();
+
+  const stream = allToStderr || level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+  const line = logFormat === 'json'
+    ? JSON.stringify({ time: new Date().toISOString(), level, message: String(message).trim(), ...fields })
+    : message;
+
+  clearProgress();
+  stream.write(`${line}\n`);
+  drawProgress();
+}
+
+/**
+ * Log an error
+ * @param {string} message - Message to log
+ * @param {Object} [fields] - Extra properties for the JSON format
+ */
+function logError(message, fields) {
+  writeLog('error', message, fields);
+}
+
+/**
+ * Log a warning
+ * @param {string} message - Message to log
+ * @param {Object} [fields] - Extra properties for the JSON format
+ */
+function logWarn(message, fields) {
+  writeLog('warn', message, fields);
+}
+
+/**
+ * Log a status message or report line
+ * @param {string} message - Message to log
+ * @param {Object} [fields] - Extra properties for the JSON format
  */
-function initLogger(verbose) {
-  isVerbose = verbose;
+function logInfo(message, fields) {
+  writeLog('info', message, fields);
+}
+
+/**
+ * Log per-file and per-component details
+ * @param {string} message - Message to log
+ * @param {Object} [fields] - Extra properties for the JSON format
+ */
+function logDebug(message, fields) {
+  writeLog('debug', message, fields);
+}
+
+/**
+ * Log fine-grained internals, such as every matched ignore pattern
+ * @param {string} message - Message to log
+ * @param {Object} [fields] - Extra properties for the JSON format
+ */
+function logTrace(message, fields) {
+  writeLog('trace', message, fields);
 }
 
 /**
@@ -15,9 +132,7 @@ function initLogger(verbose) {
  * @param {string} message - Message to log
  */
 function logVerbose(message) {
-  if (isVerbose) {
-    console.log(message);
-  }
+  logDebug(message);
 }
 
 /**
@@ -26,11 +141,85 @@ function logVerbose(message) {
  */
 function log(message) {
   const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${message}`);
+  logInfo(logFormat === 'json' ? message : `[${timestamp}] ${message}`);
+}
+
+/**
+ * Erase the progress bar line so a message can take its place
+ */
+function clearProgress() {
+  if (progress) {
+    process.stderr.write('\r\x1b[K');
+  }
+}
+
+/**
+ * Draw the progress bar on the current line of stderr
+ */
+function drawProgress() {
+  if (!progress) {
+    return;
+  }
+  const ratio = progress.total > 0 ? Math.min(progress.completed / progress.total, 1) : 1;
+  const filled = Math.round(ratio * PROGRESS_WIDTH);
+  const bar = '█'.repeat(filled) + '░'.repeat(PROGRESS_WIDTH - filled);
+  process.stderr.write(`${progress.label} ${bar} ${progress.completed}/${progress.total} ${Math.round(ratio * 100)}%`);
+}
+
+/**
+ * Show a single live progress bar, replacing any previous one
+ *
+ * Only drawn when stderr is a terminal, the format is text and info messages
+ * are shown; otherwise the calls do nothing.
+ * @param {string} label - What is being counted
+ * @param {number} total - Number of steps
+ */
+function startProgress(label, total) {
+  stopProgress();
+  if (!process.stderr.isTTY || logFormat !== 'text' || !isLevelEnabled('info')) {
+    return;
+  }
+  progress = { label, total, completed: 0 };
+  drawProgress();
+}
+
+/**
+ * Move the progress bar
+ * @param {number} completed - Steps done so far
+ */
+function updateProgress(completed) {
+  if (!progress) {
+    return;
+  }
+  progress.completed = completed;
+  clearProgress();
+  drawProgress();
+}
+
+/**
+ * Remove the progress bar
+ */
+function stopProgress() {
+  if (!progress) {
+    return;
+  }
+  clearProgress();
+  progress = null;
 }
 
 export {
+  LOG_LEVELS,
+  LOG_FORMATS,
   initLogger,
+  isLevelEnabled,
+  logError,
+  logWarn,
+  logInfo,
+  logDebug,
+  logTrace,
   logVerbose,
-  log
+  log,
+  startProgress,
+  updateProgress,
+  stopProgress
 };
@@ -1,196 +1,225 @@
 // lib/openai-utils.js
 
-import openai from 'openai';
-import fs from 'fs';
-import { readFile, writeFile, mkdir } from 'fs/promises';
-import path from 'path';
 import crypto from 'crypto';
 
-
-const mkdirAsync = mkdir;
-const writeFileAsync = writeFile;
-const readFileAsync = readFile;
-
-let openaiModelName = "gpt-3.5-turbo"; // or another appropriate model
-
-// Cache directory for component documentation
-
-// const __filename = fileURLToPath(import.meta.url);
-// const __dirname = dirname(__filename);
-// get current project root directory
-const projectRoot = path.resolve(path.dirname(''));
-const CACHE_DIR = path.join(projectRoot, '.react-doc-gen');
+import { renderTemplate } from '../prompt-templates.js';
+import { getDocCacheKey, loadDocFromCache, saveDocToCache } from './cache.js';
+import { logError, logDebug } from './logger.js';
 
 /**
- * Initialize the OpenAI client with API key
- * @returns {Object|null} OpenAI client or null if no API key available
+ * Calculate hash for a component
+ * @param {string} componentCode - Component code to hash
+ * @returns {string} Hash string
  */
-function setupOpenAI() {
-  // Ensure cache directory exists
-  ensureCacheDirectory();
+function calculateComponentHash(componentCode) {
+  return crypto.createHash('md5').update(componentCode).digest('hex');
+}
 
-  if (!process.env.OPENAI_API_KEY) {
-    return null;
-  }
+// Ends every prompt, default or custom, so every provider is asked for the same response format
+const RESPONSE_FORMAT_INSTRUCTIONS = `
+Format the response as a complete JSDoc comment block (starting with /** and ending with */).
+Your response should be a JSON object with a single field 'docstring' containing the complete JSDoc comment.
+`;
 
-  if (process.env.OPENAI_MODEL) {
-    openaiModelName = process.env.OPENAI_MODEL
-  }
+/**
+ * Build the prompt for documenting a component
+ */
+function buildComponentPrompt(componentName, filePath, componentCode, componentType, propsSection) {
+  return `
+You are a React documentation expert. I need a detailed JSDoc-style documentation for the following React ${componentType}:
 
-  return new openai.OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-  });
+Component Name: ${componentName}
+File Path: ${filePath}
+Component Code:
+\`\`\`jsx
+${componentCode}
+\`\`\`
+${propsSection}
+Based on the code, please generate a comprehensive JSDoc comment that includes:
+1. A clear description of what the component does
+2. All props it accepts with accurate types and descriptions
+3. Return value description
+4. Any side effects or important notes
+5. A basic usage example
+${RESPONSE_FORMAT_INSTRUCTIONS}`;
 }
 
 /**
- * Ensure the cache directory exists
+ * Build the prompt for documenting a custom hook
  */
-async function ensureCacheDirectory() {
-  try {
-    if (!fs.existsSync(CACHE_DIR)) {
-      await mkdirAsync(CACHE_DIR, { recursive: true });
-      console.log(`Created documentation cache directory: ${CACHE_DIR}`);
-    } else {
-      console.log(`Documentation cache directory already exists: ${CACHE_DIR}`);
-    }
-  } catch (error) {
-    console.error(`Error creating cache directory: ${error.message}`);
-  }
+function buildHookPrompt(hookName, filePath, hookCode, hookSection) {
+  return `
+You are a React documentation expert. I need a detailed JSDoc-style documentation for the following custom React hook:
+
+Hook Name: ${hookName}
+File Path: ${filePath}
+Hook Code:
+\`\`\`jsx
+${hookCode}
+\`\`\`
+${hookSection}
+Based on the code, please generate a comprehensive JSDoc comment that includes:
+1. A clear description of what the hook does and when to use it
+2. All parameters it accepts with accurate types and descriptions
+3. The return value, describing each element of a returned tuple or each field of a returned object
+4. The React hooks it relies on and any side effects (subscriptions, timers, requests)
+5. A basic usage example inside a component
+${RESPONSE_FORMAT_INSTRUCTIONS}`;
 }
 
+const SYSTEM_PROMPT = 'You are a React documentation specialist who writes precise and helpful JSDoc comments.';
+
 /**
- * Get the file path for a specific component hash
- * @param {string} hash - Component hash
- * @returns {string} Path to the cache file
+ * Build the prompt from a user-supplied template
  */
-function getCacheFilePath(hash) {
-  return path.join(CACHE_DIR, `${hash}.json`);
+function buildTemplatePrompt(template, values, extraInstructions) {
+  let prompt = renderTemplate(template, values).trimEnd() + '\n';
+  if (extraInstructions) {
+    prompt += `\nAdditional instructions: ${extraInstructions}\n`;
+  }
+  return prompt + RESPONSE_FORMAT_INSTRUCTIONS;
 }
 
 /**
- * Check if documentation for a component hash exists in cache
- * @param {string} hash - Component hash
- * @returns {boolean} True if cache exists
+ * Build the system message, with the team's style guide appended
  */
-function docCacheExists(hash) {
-  const cachePath = getCacheFilePath(hash);
-  return fs.existsSync(cachePath);
+function buildSystemPrompt(styleGuide) {
+  if (!styleGuide) {
+    return SYSTEM_PROMPT;
+  }
+  return `${SYSTEM_PROMPT}\n\nFollow this documentation style guide:\n${styleGuide}`;
 }
 
 /**
- * Load documentation from cache
- * @param {string} hash - Component hash
- * @returns {Promise<string|null>} The cached documentation or null if not found
+ * Extract the docstring from a model response
+ *
+ * Prefers the requested JSON object, but accepts a bare JSDoc block from
+ * providers without a JSON response mode.
+ * @param {string} content - Raw response content
+ * @returns {string} The docstring
  */
-async function loadDocFromCache(hash) {
+function parseDocstringResponse(content) {
   try {
-    const cachePath = getCacheFilePath(hash);
-    if (fs.existsSync(cachePath)) {
-      const content = await readFileAsync(cachePath, 'utf8');
-      const cacheData = JSON.parse(content);
-      return cacheData.docstring;
+    const parsedResponse = JSON.parse(content);
+    if (parsedResponse && typeof parsedResponse.docstring === 'string') {
+      return parsedResponse.docstring;
     }
   } catch (error) {
-    console.error(`Error loading doc from cache (${hash}): ${error.message}`);
+    // Fall through to the looser formats below
   }
-  return null;
-}
 
-/**
- * Save documentation to cache
- * @param {string} hash - Component hash
- * @param {string} docstring - Documentation to cache
- */
-async function saveDocToCache(hash, docstring) {
-  try {
-    const cachePath = getCacheFilePath(hash);
-    const cacheData = {
-      docstring,
-      timestamp: new Date().toISOString()
-    };
-    await writeFileAsync(cachePath, JSON.stringify(cacheData, null, 2), 'utf8');
-  } catch (error) {
-    console.error(`Error saving doc to cache (${hash}): ${error.message}`);
+  const jsonMatch = content.match(/\{[\s\S]*\}/);
+  if (jsonMatch) {
+    try {
+      const parsedResponse = JSON.parse(jsonMatch[0]);
+      if (parsedResponse && typeof parsedResponse.docstring === 'string') {
+        return parsedResponse.docstring;
+      }
+    } catch (error) {
+      // Not JSON, try a bare comment block
+    }
+  }
+
+  const commentMatch = content.match(/\/\*\*[\s\S]*?\*\//);
+  if (commentMatch) {
+    return commentMatch[0];
   }
+
+  throw new Error('Response did not contain a docstring');
 }
 
+// Completion tokens requested per docstring
+const MAX_COMPLETION_TOKENS = 1000;
+
 /**
- * Calculate hash for a component
- * @param {string} componentCode - Component code to hash
- * @returns {string} Hash string
+ * Build the request for documenting a component, without sending it
+ * @param {string} componentName - Name of the component
+ * @param {string} filePath - Path to the file containing the component
+ * @param {string} componentCode - The component code
+ * @param {string} componentType - Type of component (Function, Class, etc.)
+ * @param {Array<Object>} props - Props resolved statically by the extractor
+ * @param {Object} hookInfo - Parameters, return shape and hooks used, for custom hooks
+ * @param {string} extraInstructions - Additional guidance from the user, e.g. a regeneration hint
+ * @param {Object} promptTemplate - Custom template, style guide and prompt version from getPromptTemplate
+ * @returns {Object} { hash, system, prompt, maxTokens } where hash is the cache key
  */
-function calculateComponentHash(componentCode) {
-  return crypto.createHash('md5').update(componentCode).digest('hex');
+function buildDocStringRequest(componentName, filePath, componentCode, componentType, props = [], hookInfo = null, extraInstructions = '', promptTemplate = {}) {
+  const isHook = componentType === 'CustomHook';
+  const propsSection = isHook ? formatHookForPrompt(hookInfo) : formatPropsForPrompt(props);
+  let detailsSection = propsSection;
+  if (extraInstructions) {
+    detailsSection += `\nAdditional instructions: ${extraInstructions}\n`;
+  }
+
+  // Calculate component hash, including the resolved details since they are part of the prompt;
+  // the prompt version goes into the cache key (getDocCacheKey), not here
+  const { template, styleGuide } = promptTemplate;
+  const hash = calculateComponentHash(componentCode + detailsSection);
+
+  // Create a prompt that asks the model to analyze the component or hook
+  let prompt;
+  if (template) {
+    const values = { name: componentName, type: componentType, file: filePath, code: componentCode, props: propsSection };
+    prompt = buildTemplatePrompt(template, values, extraInstructions);
+  } else if (isHook) {
+    prompt = buildHookPrompt(componentName, filePath, componentCode, detailsSection);
+  } else {
+    prompt = buildComponentPrompt(componentName, filePath, componentCode, componentType, detailsSection);
+  }
+
+  return { hash, system: buildSystemPrompt(styleGuide), prompt, maxTokens: MAX_COMPLETION_TOKENS };
 }
 
 /**
- * Generate a docstring using OpenAI
- * @param {Object} openaiClient - Initialized OpenAI client
+ * Generate a docstring using an LLM provider
+ * @param {Object} provider - Provider from setupProvider
  * @param {string} componentName - Name of the component
  * @param {string} filePath - Path to the file containing the component
  * @param {Object} location - Line and column information
  * @param {string} componentCode - The component code
  * @param {string} componentType - Type of component (Function, Class, etc.)
- * @returns {Promise<string>} Generated docstring
+ * @param {Array<Object>} props - Props resolved statically by the extractor
+ * @param {Object} hookInfo - Parameters, return shape and hooks used, for custom hooks
+ * @param {string} extraInstructions - Additional guidance from the user, e.g. a regeneration hint
+ * @param {Object} promptTemplate - Custom template, style guide and prompt version from getPromptTemplate
+ * @returns {Promise<Object>} { docstring, usage, cached } where usage is the request's
+ *   { model, promptTokens, completionTokens }, or null when no request was made
  */
-async function generateDocStringWithOpenAI(openaiClient, componentName, filePath, location, componentCode, componentType) {
-  if (!openaiClient) {
-    throw new Error('OpenAI client not initialized');
+async function generateDocStringWithOpenAI(provider, componentName, filePath, location, componentCode, componentType, props = [], hookInfo = null, extraInstructions = '', promptTemplate = {}) {
+  if (!provider) {
+    throw new Error('LLM provider not initialized');
   }
+  const isHook = componentType === 'CustomHook';
   if (!componentCode) {
-    console.error(`No component code found for ${componentName}`);
-    return generateBasicDocString(componentName, filePath, location, componentType);
+    logError(`No component code found for ${componentName}`);
+    const docstring = isHook
+      ? generateBasicHookDocString(componentName, filePath, location, hookInfo)
+      : generateBasicDocString(componentName, filePath, location, componentType, props);
+    return { docstring, usage: null, cached: false };
   }
 
-  // Calculate component hash
-  const componentHash = calculateComponentHash(componentCode);
+  const request = buildDocStringRequest(componentName, filePath, componentCode, componentType, props, hookInfo, extraInstructions, promptTemplate);
 
-  // Check if we have cached documentation for this component
-  const cachedDoc = await loadDocFromCache(componentHash);
+  // Check if we have cached documentation for this component, from the same provider, model and prompt
+  const cacheKey = getDocCacheKey(request.hash, provider, promptTemplate.version);
+  const cachedDoc = await loadDocFromCache(cacheKey);
   if (cachedDoc) {
-    console.log(`Using cached documentation for ${componentName}`);
-    return cachedDoc;
+    logDebug(`Using cached documentation for ${componentName}`);
+    return { docstring: cachedDoc, usage: null, cached: true };
   }
 
   try {
-    // Create a prompt that asks the model to analyze the component
-    const prompt = `
-You are a React documentation expert. I need a detailed JSDoc-style documentation for the following React ${componentType}:
-
-Component Name: ${componentName}
-File Path: ${filePath}
-Component Code:
-\`\`\`jsx
-${componentCode}
-\`\`\`
-
-Based on the code, please generate a comprehensive JSDoc comment that includes:
-1. A clear description of what the component does
-2. All props it accepts with accurate types and descriptions
-3. Return value description
-4. Any side effects or important notes
-5. A basic usage example
-
-Format the response as a complete JSDoc comment block (starting with /** and ending with */).
-Your response should be a JSON object with a single field 'docstring' containing the complete JSDoc comment.
-`;
-
-    // Call the OpenAI API with JSON response format
-    const response = await openaiClient.chat.completions.create({
-      model: openaiModelName, // or another appropriate model
-      messages: [
-        { role: "system", content: "You are a React documentation specialist who writes precise and helpful JSDoc comments." },
-        { role: "user", content: prompt }
-      ],
-      response_format: { type: "json_object" },
+    // Ask the provider for a JSON response
+    const response = await provider.complete({
+      system: request.system,
+      prompt: request.prompt,
+      json: true,
       temperature: 0.2, // Lower temperature for more predictable output
-      max_tokens: 1000 // Adjust as needed
+      maxTokens: request.maxTokens
     });
 
-    // Parse the JSON response to extract just the docstring
-    const responseContent = response.choices[0].message.content;
-    const parsedResponse = JSON.parse(responseContent);
-    let docstring = parsedResponse.docstring.trim();
+    // Parse the response to extract just the docstring
+    let docstring = parseDocstringResponse(response.content).trim();
 
     // Make sure it starts with /** if it doesn't already
     if (!docstring.startsWith('/**')) {
@@ -203,37 +232,188 @@ Your response should be a JSON object with a single field 'docstring' containing
     }
 
     // Cache the generated docstring
-    await saveDocToCache(componentHash, docstring);
+    await saveDocToCache(cacheKey, docstring, {
+      component: componentName,
+      file: filePath,
+      provider: provider.name,
+      model: provider.model,
+      promptVersion: promptTemplate.version || null
+    });
 
-    return docstring;
+    const usage = response.usage || { promptTokens: 0, completionTokens: 0 };
+    return {
+      docstring,
+      usage: { model: provider.model, promptTokens: usage.promptTokens, completionTokens: usage.completionTokens },
+      cached: false
+    };
 
   } catch (error) {
-    console.error('Error generating documentation with OpenAI:', error);
+    // Every request after the budget runs out fails the same way; the summary reports them once
+    if (error.code !== 'BUDGET_EXCEEDED') {
+      logError(`Error generating documentation with ${provider.name}: ${error.message}`);
+    }
     throw error;
   }
 }
 
+/**
+ * Format statically resolved props as a prompt section
+ * @param {Array<Object>} props - Prop records from the extractor
+ * @returns {string} Prompt section, or an empty string when there are no props
+ */
+function formatPropsForPrompt(props) {
+  if (!props || props.length === 0) {
+    return '';
+  }
+
+  const lines = props.map(prop => {
+    let line = `- ${prop.name}: ${prop.type || 'unknown'}`;
+    if (prop.required === true) line += ' (required)';
+    if (prop.required === false) line += ' (optional)';
+    if (prop.defaultValue != null) line += `, default ${prop.defaultValue}`;
+    if (prop.description) line += ` - ${prop.description}`;
+    return line;
+  });
+
+  return `
+Props resolved from the source and its type declarations (use these names and types):
+${lines.join('\n')}
+`;
+}
+
+/**
+ * Describe a hook's return shape in a few words
+ * @param {Object} returns - Return shape from the hook extractor
+ * @returns {string} Description
+ */
+function describeHookReturn(returns) {
+  switch (returns.kind) {
+    case 'tuple':
+      return `A tuple of [${returns.items.join(', ')}]`;
+    case 'object':
+      return `An object with ${returns.items.join(', ')}`;
+    case 'value':
+      return `The value of ${returns.source.replace(/\s*\n\s*/g, ' ')}`;
+    default:
+      return 'Nothing';
+  }
+}
+
+/**
+ * Format statically collected hook details as a prompt section
+ * @param {Object} hookInfo - Parameters, return shape and hooks used
+ * @returns {string} Prompt section, or an empty string when nothing is known
+ */
+function formatHookForPrompt(hookInfo) {
+  if (!hookInfo) {
+    return '';
+  }
+
+  const lines = hookInfo.params.map(param => {
+    let line = `- parameter ${param.name}: ${param.type || 'unknown'}`;
+    if (param.defaultValue != null) line += `, default ${param.defaultValue}`;
+    if (param.properties.length > 0) line += ` (fields: ${param.properties.map(p => p.name).join(', ')})`;
+    return line;
+  });
+  lines.push(`- returns: ${describeHookReturn(hookInfo.returns)}`);
+  if (hookInfo.hooksUsed.length > 0) {
+    lines.push(`- React hooks used: ${hookInfo.hooksUsed.join(', ')}`);
+  }
+
+  return `
+Details collected from the source:
+${lines.join('\n')}
+`;
+}
+
+/**
+ * Format a single prop as a JSDoc @param line
+ * @param {Object} prop - Prop record from the extractor
+ * @returns {string} JSDoc line
+ */
+function formatPropParam(prop) {
+  const type = prop.type || '*';
+  let name = `props.${prop.name}`;
+
+  // Optional props are wrapped in brackets, with their default if known
+  if (prop.defaultValue != null) {
+    name = `[${name}=${prop.defaultValue.replace(/\s*\n\s*/g, ' ')}]`;
+  } else if (prop.required === false) {
+    name = `[${name}]`;
+  }
+
+  const description = prop.description || `The ${prop.name} prop`;
+  return ` * @param {${type}} ${name} - ${description}`;
+}
+
 /**
  * Generate a basic docstring for fallback when OpenAI isn't available
  */
-function generateBasicDocString(componentName, filePath, location, componentType) {
-  return `/**
- * ${componentName} Component
- *
- * @description A React component defined in ${filePath} (line ${location.line}, column ${location.column})
- * @component ${componentType}
- * @param {Object} props - Component props
- * @returns {React.ReactElement} A React component
- */`;
+function generateBasicDocString(componentName, filePath, location, componentType, props = []) {
+  const propLines = props.map(formatPropParam);
+
+  return [
+    '/**',
+    ` * ${componentName} Component`,
+    ' *',
+    ` * @description A React component defined in ${filePath} (line ${location.line}, column ${location.column})`,
+    ` * @component ${componentType}`,
+    ' * @param {Object} props - Component props',
+    ...propLines,
+    ' * @returns {React.ReactElement} A React component',
+    ' */'
+  ].join('\n');
+}
+
+/**
+ * Generate a basic docstring for a custom hook when OpenAI isn't available
+ */
+function generateBasicHookDocString(hookName, filePath, location, hookInfo) {
+  const { params = [], returns = { kind: 'none', items: [] }, hooksUsed = [] } = hookInfo || {};
+  const lines = [
+    '/**',
+    ` * ${hookName} Hook`,
+    ' *',
+    ` * @description A custom React hook defined in ${filePath} (line ${location.line}, column ${location.column})`
+  ];
+
+  if (hooksUsed.length > 0) {
+    lines.push(` * Uses React hooks: ${hooksUsed.join(', ')}`);
+  }
+
+  for (const param of params) {
+    const isRest = param.name.startsWith('...');
+    const baseName = isRest ? param.name.slice(3) : param.name;
+    const type = `${isRest ? '...' : ''}${param.type || '*'}`;
+    const name = param.defaultValue != null
+      ? `[${baseName}=${param.defaultValue.replace(/\s*\n\s*/g, ' ')}]`
+      : baseName;
+    lines.push(` * @param {${type}} ${name} - The ${baseName} parameter`);
+
+    for (const property of param.properties) {
+      const propertyName = property.defaultValue != null
+        ? `[${param.name}.${property.name}=${property.defaultValue.replace(/\s*\n\s*/g, ' ')}]`
+        : `${param.name}.${property.name}`;
+      lines.push(` * @param {*} ${propertyName} - The ${property.name} option`);
+    }
+  }
+
+  if (returns.kind === 'tuple') {
+    lines.push(` * @returns {Array} ${describeHookReturn(returns)}`);
+  } else if (returns.kind === 'object') {
+    lines.push(` * @returns {Object} ${describeHookReturn(returns)}`);
+  } else if (returns.kind === 'value') {
+    lines.push(` * @returns {*} ${describeHookReturn(returns)}`);
+  }
+
+  lines.push(' */');
+  return lines.join('\n');
 }
 
 export {
-  setupOpenAI,
   generateDocStringWithOpenAI,
+  buildDocStringRequest,
   generateBasicDocString,
-  calculateComponentHash,
-  ensureCacheDirectory,
-  loadDocFromCache,
-  saveDocToCache,
-  docCacheExists
+  generateBasicHookDocString,
+  calculateComponentHash
 };
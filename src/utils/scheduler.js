@@ -0,0 +1,265 @@
+// lib/scheduler.js
+
+import { logDebug } from './logger.js';
+
+const MINUTE_MS = 60000;
+
+// Network failures worth retrying when there is no HTTP status
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+const RETRYABLE_NAMES = ['APIConnectionError', 'APIConnectionTimeoutError', 'FetchError'];
+
+/**
+ * Sleep for the specified milliseconds
+ */
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check if a failed request is worth retrying: rate limits, server errors and dropped connections
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} Whether to retry
+ */
+function isRetryableError(error) {
+  if (typeof error.status === 'number') {
+    return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+  }
+  const code = error.code || (error.cause && error.cause.code);
+  return RETRYABLE_CODES.includes(code) ||
+    RETRYABLE_NAMES.includes(error.name) ||
+    /fetch failed|socket hang up/i.test(error.message || '');
+}
+
+/**
+ * Read a header from a plain object or a Headers instance
+ */
+function getHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] ?? headers[name.toLowerCase()] ?? null;
+}
+
+/**
+ * Read how long the server asked us to wait, from retry-after-ms or retry-after
+ * @param {Error} error - Error thrown by a provider
+ * @param {number} now - Current time, for HTTP-date values
+ * @returns {number|null} Delay in milliseconds, or null when the server gave none
+ */
+function getRetryAfterMs(error, now = Date.now()) {
+  const retryAfterMs = Number(getHeader(error.headers, 'retry-after-ms'));
+  if (retryAfterMs > 0) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = getHeader(error.headers, 'retry-after');
+  if (retryAfter == null || retryAfter === '') {
+    return null;
+  }
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Create a request scheduler that keeps calls within rate limits
+ *
+ * Requests are queued and started in order as long as fewer than `concurrency`
+ * are in flight and the last minute's requests and tokens leave room in the
+ * budgets. Failed requests that are worth retrying go back through the budgets
+ * after an exponential backoff with jitter, or after the server's retry-after.
+ * A 429 pauses every request, not just the one that hit it.
+ * @param {Object} config - Scheduler configuration
+ * @param {number} [config.requestsPerMinute] - Request budget, 0 for unlimited
+ * @param {number} [config.tokensPerMinute] - Token budget, 0 for unlimited
+ * @param {number} [config.concurrency] - Maximum requests in flight
+ * @param {number} [config.maxRetries] - Retries per request before giving up
+ * @param {number} [config.baseDelayMs] - First backoff delay, doubled on each retry
+ * @param {number} [config.maxDelayMs] - Upper bound for a single backoff delay
+ * @param {Function} [config.sleep] - Sleep function, replaceable in tests
+ * @param {Function} [config.now] - Clock, replaceable in tests
+ * @param {Function} [config.random] - Random source for jitter, replaceable in tests
+ * @param {Function} [config.setTimer] - setTimeout for budget waits, replaceable in tests
+ * @param {Function} [config.clearTimer] - clearTimeout for budget waits, replaceable in tests
+ * @returns {Object} Scheduler with schedule() and stats
+ */
+function createScheduler({
+  requestsPerMinute = 0,
+  tokensPerMinute = 0,
+  concurrency = 5,
+  maxRetries = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = MINUTE_MS,
+  sleep = defaultSleep,
+  now = Date.now,
+  random = Math.random,
+  setTimer = setTimeout,
+  clearTimer = clearTimeout
+} = {}) {
+  const queue = [];
+  const requestLog = []; // start times of requests in the current window
+  const tokenLog = []; // { time, tokens } of requests in the current window
+  let inFlight = 0;
+  let timer = null;
+  let pausedUntil = 0; // set by 429 responses, which limit the whole account
+
+  const stats = { requests: 0, retries: 0, rateLimited: 0, failed: 0, budgetSkipped: 0 };
+
+  /**
+   * Forget requests that left the one-minute window
+   */
+  function pruneWindow(currentTime) {
+    while (requestLog.length > 0 && requestLog[0] <= currentTime - MINUTE_MS) requestLog.shift();
+    while (tokenLog.length > 0 && tokenLog[0].time <= currentTime - MINUTE_MS) tokenLog.shift();
+  }
+
+  /**
+   * Get how long until a request of this size fits in the budgets, 0 if it fits now
+   */
+  function getBudgetWait(tokens, currentTime) {
+    pruneWindow(currentTime);
+    let wait = Math.max(0, pausedUntil - currentTime);
+
+    if (requestsPerMinute > 0 && requestLog.length >= requestsPerMinute) {
+      wait = Math.max(wait, requestLog[requestLog.length - requestsPerMinute] + MINUTE_MS - currentTime);
+    }
+
+    if (tokensPerMinute > 0 && tokenLog.length > 0) {
+      // A request larger than the whole budget still runs once the window is empty
+      let used = tokenLog.reduce((sum, entry) => sum + entry.tokens, 0);
+      for (const entry of tokenLog) {
+        if (used + Math.min(tokens, tokensPerMinute) <= tokensPerMinute) break;
+        used -= entry.tokens;
+        wait = Math.max(wait, entry.time + MINUTE_MS - currentTime);
+      }
+    }
+
+    return wait;
+  }
+
+  /**
+   * Start queued requests while the pool and budgets allow it
+   */
+  function dispatch() {
+    if (timer) {
+      clearTimer(timer);
+      timer = null;
+    }
+
+    while (queue.length > 0 && inFlight < concurrency) {
+      const currentTime = now();
+      const next = queue[0];
+      const wait = getBudgetWait(next.tokens, currentTime);
+
+      if (wait > 0) {
+        timer = setTimer(dispatch, wait);
+        return;
+      }
+
+      queue.shift();
+      requestLog.push(currentTime);
+      const tokenEntry = { time: currentTime, tokens: next.tokens };
+      tokenLog.push(tokenEntry);
+      inFlight++;
+      stats.requests++;
+      run(next, tokenEntry);
+    }
+  }
+
+  /**
+   * Run one attempt of a request and settle, retry or fail it
+   */
+  async function run(entry, tokenEntry) {
+    try {
+      const result = await entry.task();
+      // Replace the estimate with what the request actually used
+      if (entry.countTokens) {
+        const used = entry.countTokens(result);
+        if (used > 0) tokenEntry.tokens = used;
+      }
+      entry.resolve(result);
+    } catch (error) {
+      if (error.status === 429) stats.rateLimited++;
+
+      if (entry.attempt < maxRetries && isRetryableError(error)) {
+        const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** entry.attempt);
+        const jittered = backoff / 2 + random() * (backoff / 2);
+        // A server's retry-after is capped too, so a bogus value cannot stall the whole pool
+        const retryAfter = getRetryAfterMs(error, now());
+        const delay = retryAfter === null ? jittered : Math.min(maxDelayMs, retryAfter);
+        entry.attempt++;
+        stats.retries++;
+        if (error.status === 429) {
+          pausedUntil = Math.max(pausedUntil, now() + delay);
+        }
+        entry.onRetry(error, entry.attempt, delay);
+        // Hold the request back without blocking the pool for the others
+        sleep(delay).then(() => {
+          queue.unshift(entry);
+          dispatch();
+        });
+      } else {
+        // A used-up run budget stops the request before it is sent, so it is no provider failure
+        if (error.code === 'BUDGET_EXCEEDED') {
+          stats.budgetSkipped++;
+        } else {
+          stats.failed++;
+        }
+        entry.reject(error);
+      }
+    } finally {
+      inFlight--;
+      dispatch();
+    }
+  }
+
+  return {
+    stats,
+
+    /**
+     * Run a request within the limits, retrying failures worth retrying
+     * @param {Function} task - Starts the request and returns a promise
+     * @param {Object} [options] - Request options
+     * @param {number} [options.tokens] - Estimated tokens, for the token budget
+     * @param {Function} [options.countTokens] - Reads the tokens actually used from the result
+     * @param {Function} [options.onRetry] - Called with (error, attempt, delayMs) before each retry
+     * @returns {Promise<*>} Result of the task
+     */
+    schedule(task, { tokens = 0, countTokens = null, onRetry = () => {} } = {}) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, tokens, countTokens, onRetry, resolve, reject, attempt: 0 });
+        dispatch();
+      });
+    }
+  };
+}
+
+/**
+ * Wrap a provider so every completion goes through a scheduler
+ * @param {Object} provider - Provider from setupProvider
+ * @param {Object} scheduler - Scheduler from createScheduler
+ * @returns {Object} Provider with the same interface
+ */
+function scheduleProvider(provider, scheduler) {
+  return {
+    ...provider,
+    async complete(request) {
+      // Rough estimate until the response reports the real usage
+      const tokens = Math.ceil(((request.system || '').length + request.prompt.length) / 4) + (request.maxTokens || 0);
+      return scheduler.schedule(() => provider.complete(request), {
+        tokens,
+        countTokens: (response) => (response.usage ? response.usage.promptTokens + response.usage.completionTokens : 0),
+        onRetry: (error, attempt, delay) => {
+          logDebug(`Request to ${provider.name} failed (${error.status || error.code || error.message}), retry ${attempt} in ${Math.round(delay)}ms`);
+        }
+      });
+    }
+  };
+}
+
+export {
+  createScheduler,
+  scheduleProvider,
+  isRetryableError,
+  getRetryAfterMs
+};
@@ -0,0 +1,45 @@
+// lib/type-utils.js
+
+/**
+ * Split a union type on its top-level bars, e.g. "'a' | Array<string | number>"
+ * @param {string} type - Type source text
+ * @returns {string[]} Union members, or the whole type when it is not a union
+ */
+function splitUnion(type) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of type) {
+    // The > of an arrow (=>) closes nothing
+    const isArrow = char === '>' && current.endsWith('=');
+    if ('<({['.includes(char)) depth++;
+    if (')}]'.includes(char) || (char === '>' && !isArrow)) depth--;
+    if (char === '|' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * Check if a value is a plain literal rather than a computed expression,
+ * so it can be copied as it is; template literals with ${} do not count
+ * @param {string} value - Value source text
+ * @returns {boolean}
+ */
+function isLiteral(value) {
+  const text = value.trim();
+  if (text.startsWith('`') && text.includes('${')) {
+    return false;
+  }
+  return /^(['"`]).*\1$|^-?\d[\d.e_]*$|^(true|false|null|undefined)$/.test(text);
+}
+
+export {
+  splitUnion,
+  isLiteral
+};
@@ -0,0 +1,219 @@
+// lib/usage.js
+
+import { logInfo } from './logger.js';
+
+// USD per million prompt (input) and completion (output) tokens, matched by model prefix
+const MODEL_PRICES = {
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4': { input: 30, output: 60 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'mock': { input: 0, output: 0 }
+};
+
+/**
+ * Estimate the tokens in a text, about four characters per token for English and code
+ * @param {string} text - Text to count
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Find the price of a model, preferring prices from the config file
+ * @param {string} model - Model ID
+ * @param {Object} [prices] - Prices from the config file, keyed by model prefix
+ * @returns {Object|null} { input, output } in USD per million tokens, or null when unknown
+ */
+function getModelPrice(model, prices = {}) {
+  const table = { ...MODEL_PRICES, ...prices };
+  // The longest prefix wins, so gpt-4o-mini is not priced as gpt-4o or gpt-4
+  const match = Object.keys(table)
+    .filter(prefix => model === prefix || model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? table[match] : null;
+}
+
+/**
+ * Calculate the cost of a number of tokens
+ * @param {Object|null} price - Price from getModelPrice
+ * @param {number} promptTokens - Prompt tokens
+ * @param {number} completionTokens - Completion tokens
+ * @returns {number|null} Cost in USD, or null when the price is unknown
+ */
+function calculateCost(price, promptTokens, completionTokens) {
+  if (!price) {
+    return null;
+  }
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+/**
+ * Format a cost for display
+ */
+function formatCost(cost) {
+  if (cost == null) return 'unknown cost';
+  return `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+/**
+ * Create a budget that stops new requests once the tokens or cost spent reach a cap
+ *
+ * Requests still in flight count with their estimate, so a run with many
+ * concurrent requests does not overshoot the cap by the whole pool.
+ * @param {Object} config - Budget configuration
+ * @param {string} config.model - Model the requests go to
+ * @param {number} [config.maxTokens] - Token cap, 0 for none
+ * @param {number} [config.maxCost] - Cost cap in USD, 0 for none
+ * @param {Object} [config.prices] - Prices from the config file
+ * @returns {Object} Budget with reserve(), settle(), isExhausted() and spent
+ */
+function createBudget({ model, maxTokens = 0, maxCost = 0, prices = {} }) {
+  const price = getModelPrice(model, prices);
+  if (maxCost > 0 && !price) {
+    throw new Error(`No price is known for model ${model}; add it to "prices" in the config file to use --max-cost`);
+  }
+
+  const spent = { tokens: 0, cost: 0 };
+  let reserved = 0;
+
+  const costOf = (promptTokens, completionTokens) => calculateCost(price, promptTokens, completionTokens) || 0;
+
+  return {
+    spent,
+
+    /**
+     * Check whether the cap is reached, counting requests in flight
+     * @returns {boolean} Whether new requests must not be sent
+     */
+    isExhausted() {
+      if (maxTokens > 0 && spent.tokens + reserved >= maxTokens) return true;
+      // Reserved tokens are priced as completion tokens, the more expensive side
+      if (maxCost > 0 && spent.cost + costOf(0, reserved) >= maxCost) return true;
+      return false;
+    },
+
+    /**
+     * Count a request that is about to be sent
+     * @param {number} tokens - Estimated tokens
+     */
+    reserve(tokens) {
+      reserved += tokens;
+    },
+
+    /**
+     * Replace a request's estimate with what it actually used
+     * @param {number} estimate - Tokens passed to reserve()
+     * @param {Object|null} usage - { promptTokens, completionTokens }, or null when the request failed
+     */
+    settle(estimate, usage) {
+      reserved -= estimate;
+      if (usage) {
+        spent.tokens += usage.promptTokens + usage.completionTokens;
+        spent.cost += costOf(usage.promptTokens, usage.completionTokens);
+      }
+    }
+  };
+}
+
+/**
+ * Wrap a provider so no request is sent once the budget is exhausted
+ * @param {Object} provider - Provider from setupProvider
+ * @param {Object} budget - Budget from createBudget
+ * @returns {Object} Provider with the same interface
+ */
+function limitProvider(provider, budget) {
+  return {
+    ...provider,
+    async complete(request) {
+      if (budget.isExhausted()) {
+        const error = new Error('The token or cost budget for this run is used up');
+        error.code = 'BUDGET_EXCEEDED';
+        throw error;
+      }
+
+      const estimate = estimateTokens(request.system) + estimateTokens(request.prompt) + (request.maxTokens || 0);
+      budget.reserve(estimate);
+      try {
+        const response = await provider.complete(request);
+        budget.settle(estimate, response.usage);
+        return response;
+      } catch (error) {
+        budget.settle(estimate, null);
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Add up the tokens used per model from the generated docstrings
+ * @param {Object} docStrings - Results from generateDocStrings, keyed by component ID
+ * @param {Object} [prices] - Prices from the config file
+ * @returns {Array<Object>} { model, requests, promptTokens, completionTokens, cost } per model
+ */
+function summarizeUsage(docStrings, prices = {}) {
+  const byModel = new Map();
+
+  for (const result of Object.values(docStrings)) {
+    if (!result.usage || result.usage.requests === 0) continue;
+    const { model, requests, promptTokens, completionTokens } = result.usage;
+    const totals = byModel.get(model) || { model, requests: 0, promptTokens: 0, completionTokens: 0 };
+    totals.requests += requests;
+    totals.promptTokens += promptTokens;
+    totals.completionTokens += completionTokens;
+    byModel.set(model, totals);
+  }
+
+  return [...byModel.values()].map(totals => ({
+    ...totals,
+    cost: calculateCost(getModelPrice(totals.model, prices), totals.promptTokens, totals.completionTokens)
+  }));
+}
+
+/**
+ * Print the tokens and estimated cost per model
+ * @param {Array<Object>} usage - Totals from summarizeUsage
+ */
+function printUsageSummary(usage) {
+  if (usage.length === 0) {
+    return;
+  }
+
+  logInfo('\nToken usage:');
+  for (const { model, requests, promptTokens, completionTokens, cost } of usage) {
+    logInfo(`- ${model}: ${requests} requests, ${promptTokens} prompt + ${completionTokens} completion tokens, ${formatCost(cost)}`);
+  }
+
+  if (usage.length > 1) {
+    const total = usage.reduce((sum, entry) => sum + entry.promptTokens + entry.completionTokens, 0);
+    const knownCosts = usage.filter(entry => entry.cost != null);
+    const cost = knownCosts.reduce((sum, entry) => sum + entry.cost, 0);
+    logInfo(`- Total: ${total} tokens, ${formatCost(cost)}${knownCosts.length < usage.length ? ' (excluding models without a known price)' : ''}`);
+  }
+}
+
+export {
+  MODEL_PRICES,
+  estimateTokens,
+  getModelPrice,
+  calculateCost,
+  formatCost,
+  createBudget,
+  limitProvider,
+  summarizeUsage,
+  printUsageSummary
+};
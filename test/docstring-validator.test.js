@@ -0,0 +1,87 @@
+// test/docstring-validator.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateDocString, formatValidationFeedback } from '../src/docstring-validator.js';
+
+const BUTTON = {
+  name: 'Button',
+  type: 'Component',
+  code: 'function Button({ label, onClick }) { return <button onClick={onClick}>{label}</button>; }',
+  props: [{ name: 'label' }, { name: 'onClick' }]
+};
+
+const USE_TOGGLE = {
+  name: 'useToggle',
+  type: 'CustomHook',
+  code: 'function useToggle(initial, ...options) { return useState(initial); }',
+  hook: { params: [{ name: 'initial' }, { name: '...options' }] }
+};
+
+test('accepts a docstring that documents exactly the props the component takes', () => {
+  const docstring = [
+    '/**',
+    ' * A button.',
+    ' * @param {Object} props - Component props',
+    ' * @param {string} props.label - Text',
+    ' * @param {Function} [props.onClick] - Click handler',
+    ' * @param {string} props.label.trim - Nested names are not compared',
+    ' */'
+  ].join('\n');
+
+  assert.deepEqual(validateDocString(docstring, BUTTON), { errors: [], missing: [], hallucinated: [] });
+});
+
+test('flags missing and hallucinated props', () => {
+  const docstring = ['/**', ' * @param {string} props.label', ' * @param {string} props.size', ' */'].join('\n');
+  const result = validateDocString(docstring, BUTTON);
+
+  assert.deepEqual(result.missing, ['onClick']);
+  assert.deepEqual(result.hallucinated, ['size']);
+  assert.deepEqual(result.errors, [
+    'missing @param for props.onClick',
+    '@param for props the component does not accept: props.size'
+  ]);
+});
+
+test('allows extra props when the component forwards its props', () => {
+  const forwarding = { ...BUTTON, code: 'function Button({ label, onClick, ...rest }) { return <button {...rest} />; }' };
+  const docstring = ['/**', ' * @param {string} props.label', ' * @param {Function} props.onClick', ' * @param {string} props.id', ' */'].join('\n');
+
+  assert.deepEqual(validateDocString(docstring, forwarding).errors, []);
+});
+
+test('compares hook parameters, including rest parameters', () => {
+  const docstring = ['/**', ' * @param {boolean} initial', ' * @param {...Object} options', ' */'].join('\n');
+  assert.deepEqual(validateDocString(docstring, USE_TOGGLE).errors, []);
+
+  assert.deepEqual(validateDocString('/**\n * @param {boolean} initial\n */', USE_TOGGLE).errors, ['missing @param for options']);
+});
+
+test('flags malformed tags and delimiters', () => {
+  const docstring = [
+    '/**',
+    ' * See /* old docs */',
+    ' * @param {string props.label',
+    ' * @param {Function}',
+    ' * @param props.onClick',
+    ' * @param {string} [props.size - Size'
+  ].join('\n');
+
+  assert.deepEqual(validateDocString(docstring, { ...BUTTON, props: [] }).errors, [
+    'the comment does not end with */',
+    'the comment contains nested /* or */ delimiters, which end the block early',
+    '@param has an unbalanced {type}: {string props.label',
+    '@param is missing a parameter name',
+    '@param props.onClick is missing a {type}',
+    '@param has a malformed optional name: [props.size'
+  ]);
+});
+
+test('turns errors into instructions for the follow-up request', () => {
+  assert.equal(
+    formatValidationFeedback(['missing @param for props.onClick', 'the comment does not end with */']),
+    'Your previous docstring had these problems, fix all of them:\n- missing @param for props.onClick\n- the comment does not end with */'
+  );
+});
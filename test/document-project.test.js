@@ -0,0 +1,210 @@
+// test/document-project.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import { documentProject, createMockProvider, initLogger } from '../src/index.js';
+
+initLogger({ level: 'silent' });
+
+/**
+ * Create an in-memory file system holding the given files
+ * @param {Object} files - Absolute path -> content
+ */
+function createMemoryFileSystem(files) {
+  const contents = new Map(Object.entries(files));
+  const isDirectory = (dirPath) => [...contents.keys()].some(filePath => filePath.startsWith(`${dirPath}${path.sep}`));
+  const entry = (name, directory) => ({ name, isFile: () => !directory, isDirectory: () => directory });
+
+  return {
+    contents,
+    existsSync: (filePath) => contents.has(filePath) || isDirectory(filePath),
+    statSync: (filePath) => entry(path.basename(filePath), !contents.has(filePath)),
+    readFileSync: (filePath) => {
+      if (!contents.has(filePath)) throw Object.assign(new Error(`ENOENT: ${filePath}`), { code: 'ENOENT' });
+      return contents.get(filePath);
+    },
+    readdirSync: (dirPath) => {
+      const names = new Map();
+      for (const filePath of contents.keys()) {
+        if (!filePath.startsWith(`${dirPath}${path.sep}`)) continue;
+        const [name, ...rest] = filePath.slice(dirPath.length + 1).split(path.sep);
+        names.set(name, rest.length > 0);
+      }
+      return [...names].map(([name, directory]) => entry(name, directory));
+    },
+    promises: {
+      readFile: async (filePath) => {
+        if (!contents.has(filePath)) throw Object.assign(new Error(`ENOENT: ${filePath}`), { code: 'ENOENT' });
+        return contents.get(filePath);
+      },
+      writeFile: async (filePath, content) => {
+        contents.set(filePath, content);
+      },
+      mkdir: async () => {}
+    }
+  };
+}
+
+const PROJECT_DIR = path.resolve('/virtual-project');
+
+const FILES = {
+  [path.join(PROJECT_DIR, 'src', 'Button.jsx')]: [
+    'export function Button({ label, onClick }) {',
+    '  return <button onClick={onClick}>{label}</button>;',
+    '}',
+    ''
+  ].join('\n'),
+  [path.join(PROJECT_DIR, 'src', 'Card.jsx')]: [
+    '/**',
+    ' * A card written up by hand.',
+    ' */',
+    'export const Card = ({ title }) => <section>{title}</section>;',
+    ''
+  ].join('\n'),
+  [path.join(PROJECT_DIR, 'src', 'utils.js')]: 'export const add = (a, b) => a + b;\n'
+};
+
+test('documents a project through the mock provider and an injected file system', async () => {
+  const fs = createMemoryFileSystem(FILES);
+  const provider = createMockProvider();
+  const events = [];
+
+  const result = await documentProject(PROJECT_DIR, {
+    provider,
+    fs,
+    rateLimit: 0,
+    cacheDir: path.join(PROJECT_DIR, '.react-doc-gen'),
+    cache: false,
+    onProgress: (event) => events.push(event)
+  });
+
+  const byName = Object.fromEntries(result.components.map(component => [component.name, component]));
+  assert.deepEqual(Object.keys(byName).sort(), ['Button', 'Card']);
+  assert.equal(byName.Button.status, 'added');
+  assert.equal(byName.Button.file, path.join('src', 'Button.jsx'));
+  assert.match(byName.Button.docstring, /Mock documentation for Button/);
+  assert.match(byName.Button.docstring, /@docgen-hash [0-9a-f]+/);
+  assert.equal(byName.Button.tokens.requests, 1);
+  assert.equal(byName.Card.status, 'skipped');
+  assert.equal(byName.Card.reason, 'already has documentation');
+
+  assert.deepEqual(result.summary, { documented: 1, skipped: 1, failed: 0, filesProcessed: 2, filesModified: 1 });
+  assert.equal(result.provider.name, 'mock');
+  assert.equal(provider.calls.length, 2);
+
+  // Sources and cache entries land in the injected file system only
+  const button = fs.contents.get(path.join(PROJECT_DIR, 'src', 'Button.jsx'));
+  assert.match(button, /^\/\*\*\n \* Button\n/);
+  assert.match(button, /export function Button/);
+  assert.equal(fs.contents.get(path.join(PROJECT_DIR, 'src', 'Card.jsx')), FILES[path.join(PROJECT_DIR, 'src', 'Card.jsx')]);
+  assert.ok([...fs.contents.keys()].some(filePath => filePath.startsWith(path.join(PROJECT_DIR, '.react-doc-gen'))));
+
+  const types = events.map(event => event.type);
+  assert.deepEqual(events.filter(event => event.type === 'phase').map(event => event.phase), ['extract', 'generate', 'write']);
+  assert.deepEqual(events.find(event => event.type === 'extracted'), { type: 'extracted', files: 2, components: 2 });
+  assert.deepEqual(events.filter(event => event.type === 'component').map(event => event.completed), [1, 2]);
+  assert.equal(events.filter(event => event.type === 'file').length, 2);
+  assert.equal(types[types.length - 1], 'done');
+  assert.equal(events[events.length - 1].result, result);
+});
+
+test('reports what would change without writing in a dry run', async () => {
+  const fs = createMemoryFileSystem(FILES);
+
+  const result = await documentProject(PROJECT_DIR, {
+    provider: createMockProvider(),
+    fs,
+    rateLimit: 0,
+    cacheDir: path.join(PROJECT_DIR, '.react-doc-gen'),
+    cache: false,
+    dryRun: true,
+    updateExisting: true
+  });
+
+  assert.equal(result.dryRun, true);
+  assert.deepEqual(result.components.map(component => component.status).sort(), ['added', 'updated']);
+  for (const [filePath, content] of Object.entries(FILES)) {
+    assert.equal(fs.contents.get(filePath), content);
+  }
+});
+
+test('falls back to the basic docstring when the provider fails', async () => {
+  const provider = createMockProvider({
+    respond: () => {
+      throw Object.assign(new Error('bad request'), { status: 400 });
+    }
+  });
+
+  const result = await documentProject(PROJECT_DIR, {
+    provider,
+    fs: createMemoryFileSystem(FILES),
+    rateLimit: 0,
+    cacheDir: path.join(PROJECT_DIR, '.react-doc-gen'),
+    cache: false,
+    files: [path.join(PROJECT_DIR, 'src', 'Button.jsx')]
+  });
+
+  assert.equal(result.components.length, 1);
+  const [button] = result.components;
+  assert.equal(button.status, 'added');
+  assert.equal(button.error, null);
+  assert.doesNotMatch(button.docstring, /Mock documentation/);
+  assert.match(button.docstring, /@docgen-hash/);
+  assert.equal(provider.calls.length, 1);
+});
+
+/**
+ * A provider response holding the given docstring lines
+ */
+const docResponse = (...lines) => JSON.stringify({ docstring: ['/**', ...lines.map(line => ` * ${line}`), ' */'].join('\n') });
+
+test('re-prompts with the validation errors until the docs match the props', async () => {
+  const provider = createMockProvider({
+    respond: ({ prompt }) => (prompt.includes('Your previous docstring had these problems')
+      ? docResponse('A button.', '@param {Object} props - Component props', '@param {string} props.label - Text', '@param {Function} props.onClick - Click handler')
+      : docResponse('A button.', '@param {Object} props - Component props', '@param {string} props.label - Text', '@param {string} props.size - Size'))
+  });
+
+  const result = await documentProject(PROJECT_DIR, {
+    provider,
+    fs: createMemoryFileSystem(FILES),
+    rateLimit: 0,
+    cacheDir: path.join(PROJECT_DIR, '.react-doc-gen'),
+    cache: false,
+    files: [path.join(PROJECT_DIR, 'src', 'Button.jsx')]
+  });
+
+  const [button] = result.components;
+  assert.equal(provider.calls.length, 2);
+  assert.match(provider.calls[1].prompt, /- missing @param for props\.onClick/);
+  assert.match(provider.calls[1].prompt, /- @param for props the component does not accept: props\.size/);
+  assert.deepEqual(button.validationErrors, []);
+  assert.match(button.docstring, /@param \{Function\} props\.onClick - Click handler/);
+  assert.equal(button.tokens.requests, 2);
+});
+
+test('falls back to the basic docstring when the docs never validate', async () => {
+  const provider = createMockProvider({ respond: () => docResponse('A button.', '@param {string} props.size - Size') });
+
+  const result = await documentProject(PROJECT_DIR, {
+    provider,
+    fs: createMemoryFileSystem(FILES),
+    rateLimit: 0,
+    cacheDir: path.join(PROJECT_DIR, '.react-doc-gen'),
+    cache: false,
+    validationRetries: 1,
+    files: [path.join(PROJECT_DIR, 'src', 'Button.jsx')]
+  });
+
+  const [button] = result.components;
+  assert.equal(provider.calls.length, 2);
+  assert.equal(button.status, 'added');
+  assert.doesNotMatch(button.docstring, /props\.size/);
+  assert.match(button.docstring, /@param \{\*\} props\.onClick/);
+  assert.deepEqual(button.validationErrors, [
+    'missing @param for props.label, props.onClick',
+    '@param for props the component does not accept: props.size'
+  ]);
+});
@@ -0,0 +1,90 @@
+// test/ignore.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import { createIgnoreFilter, isIgnored } from '../src/utils/ignore.js';
+import { runWithFileSystem } from '../src/utils/file-system.js';
+
+const ROOT = path.resolve('/virtual-repo');
+
+/**
+ * Create a file system holding only the given files, enough for reading ignore files
+ * @param {Object} files - Path relative to ROOT -> content
+ */
+function createMemoryFileSystem(files) {
+  const contents = new Map(Object.entries(files).map(([name, content]) => [path.join(ROOT, name), content]));
+  return {
+    existsSync: (filePath) => contents.has(filePath) ||
+      [...contents.keys()].some(other => other.startsWith(`${filePath}${path.sep}`)),
+    readFileSync: (filePath) => contents.get(filePath)
+  };
+}
+
+/**
+ * Build a filter over the given files and check paths relative to ROOT
+ */
+function createChecker(files) {
+  const fs = createMemoryFileSystem({ '.git/HEAD': 'ref: refs/heads/main\n', ...files });
+  const filter = runWithFileSystem(fs, () => createIgnoreFilter(ROOT));
+  return (relativePath, isDirectory = false) =>
+    runWithFileSystem(fs, () => filter.ignores(path.join(ROOT, relativePath), isDirectory));
+}
+
+test('lets a later negation re-include a file', () => {
+  const ignores = createChecker({ '.gitignore': '*.stories.jsx\n!Button.stories.jsx\n' });
+
+  assert.equal(ignores('src/Card.stories.jsx'), true);
+  assert.equal(ignores('src/Button.stories.jsx'), false);
+  assert.equal(ignores('src/Button.jsx'), false);
+});
+
+test('does not re-include a file inside an ignored directory', () => {
+  const ignores = createChecker({ '.gitignore': 'generated/\n!generated/Keep.jsx\n' });
+
+  assert.equal(ignores('src/generated/Keep.jsx'), true);
+  assert.equal(ignores('generated/Keep.jsx'), true);
+});
+
+test('anchors patterns with a leading or middle slash to the ignore file', () => {
+  const ignores = createChecker({ '.gitignore': '/legacy\nsrc/vendor\ntmp\n' });
+
+  assert.equal(ignores('legacy/Old.jsx'), true);
+  assert.equal(ignores('src/legacy/Old.jsx'), false);
+  assert.equal(ignores('src/vendor/Lib.jsx'), true);
+  assert.equal(ignores('lib/src/vendor/Lib.jsx'), false);
+  // Without a slash the pattern matches at any depth
+  assert.equal(ignores('tmp/A.jsx'), true);
+  assert.equal(ignores('src/tmp/A.jsx'), true);
+});
+
+test('matches directories only with a trailing slash', () => {
+  const ignores = createChecker({ '.gitignore': 'build/\n' });
+
+  assert.equal(ignores('build', true), true);
+  assert.equal(ignores('build/Button.jsx'), true);
+  assert.equal(ignores('src/build'), false);
+  assert.equal(ignores('src/build', true), true);
+});
+
+test('applies nested ignore files below their own directory', () => {
+  const ignores = createChecker({
+    '.gitignore': '*.test.jsx\n',
+    'packages/ui/.react-docaiignore': 'internal/\n!Button.test.jsx\n',
+    'packages/ui/src/Button.jsx': ''
+  });
+
+  assert.equal(ignores('packages/ui/internal/Hidden.jsx'), true);
+  assert.equal(ignores('packages/app/internal/Shown.jsx'), false);
+  assert.equal(ignores('packages/ui/src/Button.test.jsx'), false);
+  assert.equal(ignores('packages/app/Button.test.jsx'), true);
+  assert.equal(ignores('node_modules/react/index.js'), true);
+});
+
+test('checks a file against patterns without reading ignore files', () => {
+  assert.equal(isIgnored('src/legacy/Old.jsx', ['legacy/'], ROOT), true);
+  assert.equal(isIgnored('src/Old.jsx', ['*.jsx', '!Old.jsx'], ROOT), false);
+  assert.equal(isIgnored('src/Old.jsx', ['/Old.jsx'], ROOT), false);
+  assert.equal(isIgnored('../outside/Old.jsx', ['*.jsx'], ROOT), false);
+});
@@ -0,0 +1,104 @@
+// test/jsdoc-merger.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mergeDocStrings } from '../src/utils/jsdoc-merger.js';
+
+/**
+ * Build a JSDoc block from its lines
+ */
+const block = (...lines) => ['/**', ...lines.map(line => (line ? ` * ${line}` : ' *')), ' */'].join('\n');
+
+const EXISTING = block(
+  'Old description.',
+  '',
+  '@docgen-preserve Migration: pass `variant` instead of `primary`.',
+  '@param {Object} props - Component props',
+  '@param {string} props.label - Text written by hand',
+  '@param {boolean} props.primary - Removed prop',
+  '@deprecated Use Button from @acme/ui',
+  '@see Tabs.Panel',
+  '@see https://design.acme.dev/button',
+  '@example',
+  '<Btn label="Save" />',
+  '@docgen-hash 1111111111'
+);
+
+test('regenerates the description, params and fingerprint and keeps hand-written tags', () => {
+  const generated = block(
+    'A button that saves.',
+    '@param {Object} props - Component props',
+    '@param {string} props.label',
+    '@param {string} [props.variant="solid"] - Visual style',
+    '@see Tabs.Panel',
+    '@docgen-hash 2222222222'
+  );
+
+  assert.equal(mergeDocStrings(EXISTING, generated, ['Tabs.Panel']), block(
+    'A button that saves.',
+    '',
+    '@docgen-preserve Migration: pass `variant` instead of `primary`.',
+    '@param {Object} props - Component props',
+    '@param {string} props.label - Text written by hand',
+    '@param {string} [props.variant="solid"] - Visual style',
+    '@deprecated Use Button from @acme/ui',
+    '@see https://design.acme.dev/button',
+    '@example',
+    '<Btn label="Save" />',
+    '@see Tabs.Panel',
+    '@docgen-hash 2222222222'
+  ));
+});
+
+test('drops sub-component @see tags the generated block no longer has', () => {
+  const generated = block('Old description.', '@param {Object} props - Component props', '@docgen-hash 1111111111');
+  const merged = mergeDocStrings(EXISTING, generated, ['Tabs.Panel']);
+
+  assert.doesNotMatch(merged, /@see Tabs\.Panel/);
+  assert.match(merged, /@see https:\/\/design\.acme\.dev\/button/);
+  assert.doesNotMatch(merged, /props\.primary/);
+});
+
+test('leaves the block alone when nothing regenerated changed', () => {
+  const existing = block(
+    'A button.',
+    '@param {Object} props - Component props',
+    '@param {string} props.label - Text written by hand',
+    '@deprecated Use Button',
+    '@docgen-hash 1111111111'
+  );
+  const generated = block(
+    'A  button.',
+    '@param {Object} props - Component props',
+    '@param {string} props.label',
+    '@docgen-hash 1111111111'
+  );
+
+  assert.equal(mergeDocStrings(existing, generated), null);
+});
+
+test('keeps an existing @description tag as a tag', () => {
+  const existing = block('Btn', '@description Old text', '@deprecated Use Button', '@docgen-hash 1111111111');
+
+  assert.equal(mergeDocStrings(existing, block('Btn', '@description New text', '@docgen-hash 2222222222')), block(
+    'Btn',
+    '@description New text',
+    '',
+    '@deprecated Use Button',
+    '@docgen-hash 2222222222'
+  ));
+
+  assert.equal(mergeDocStrings(block('@desc Old text'), block('New text.', 'More detail.')), block(
+    '@desc New text.',
+    'More detail.'
+  ));
+});
+
+test('writes the description as free text when the existing block did', () => {
+  assert.equal(mergeDocStrings(block('Old text.'), block('Btn', '@description New text')), block(
+    'Btn',
+    '',
+    'New text'
+  ));
+});
@@ -0,0 +1,205 @@
+// test/scheduler.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import { createScheduler, scheduleProvider, getRetryAfterMs } from '../src/utils/scheduler.js';
+import { createOpenAIProvider } from '../src/providers/openai.js';
+
+/**
+ * Let pending promise callbacks run
+ */
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * A clock and timer pair the test moves by hand
+ */
+function createFakeClock() {
+  const clock = {
+    time: 0,
+    timers: [],
+    now: () => clock.time,
+    setTimer: (fn, ms) => {
+      const timer = { fn, at: clock.time + ms };
+      clock.timers.push(timer);
+      return timer;
+    },
+    clearTimer: (timer) => {
+      clock.timers = clock.timers.filter(other => other !== timer);
+    },
+    advance(ms) {
+      clock.time += ms;
+      const due = clock.timers.filter(timer => timer.at <= clock.time);
+      clock.timers = clock.timers.filter(timer => timer.at > clock.time);
+      due.forEach(timer => timer.fn());
+    }
+  };
+  return clock;
+}
+
+/**
+ * An error shaped like the ones the provider SDKs throw
+ */
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, headers });
+}
+
+test('holds requests back once the requests-per-minute budget is used', async () => {
+  const clock = createFakeClock();
+  const scheduler = createScheduler({ requestsPerMinute: 2, ...clock });
+  const started = [];
+
+  const results = [1, 2, 3].map(n => scheduler.schedule(async () => {
+    started.push(n);
+    return n;
+  }));
+  await flush();
+  assert.deepEqual(started, [1, 2]);
+  assert.equal(clock.timers[0].at, 60000);
+
+  clock.advance(59999);
+  await flush();
+  assert.deepEqual(started, [1, 2]);
+
+  clock.advance(1);
+  assert.deepEqual(await Promise.all(results), [1, 2, 3]);
+  assert.equal(scheduler.stats.requests, 3);
+});
+
+test('holds requests back once the tokens-per-minute budget is used', async () => {
+  const clock = createFakeClock();
+  const scheduler = createScheduler({ tokensPerMinute: 100, ...clock });
+  const started = [];
+
+  const results = [1, 2].map(n => scheduler.schedule(async () => {
+    started.push(n);
+    return n;
+  }, { tokens: 60 }));
+  await flush();
+  assert.deepEqual(started, [1]);
+
+  clock.advance(60000);
+  assert.deepEqual(await Promise.all(results), [1, 2]);
+});
+
+test('counts the tokens a response reports instead of the estimate', async () => {
+  const clock = createFakeClock();
+  const scheduler = createScheduler({ tokensPerMinute: 100, ...clock });
+
+  await scheduler.schedule(async () => ({ used: 10 }), { tokens: 90, countTokens: result => result.used });
+  const second = scheduler.schedule(async () => 'second', { tokens: 80 });
+  await flush();
+  assert.equal(clock.timers.length, 0);
+  assert.equal(await second, 'second');
+});
+
+test('retries with exponential backoff and gives up after maxRetries', async () => {
+  const delays = [];
+  const scheduler = createScheduler({
+    maxRetries: 3,
+    baseDelayMs: 1000,
+    random: () => 1,
+    sleep: async (ms) => { delays.push(ms); }
+  });
+
+  let attempts = 0;
+  const result = await scheduler.schedule(async () => {
+    attempts++;
+    if (attempts < 3) throw httpError(503);
+    return 'ok';
+  });
+  assert.equal(result, 'ok');
+  assert.deepEqual(delays, [1000, 2000]);
+
+  await assert.rejects(scheduler.schedule(async () => { throw httpError(500); }), /HTTP 500/);
+  assert.equal(scheduler.stats.failed, 1);
+  assert.equal(scheduler.stats.retries, 5);
+});
+
+test('counts requests stopped by the run budget apart from failures', async () => {
+  const scheduler = createScheduler({ sleep: async () => {} });
+  const budgetError = Object.assign(new Error('The token or cost budget for this run is used up'), { code: 'BUDGET_EXCEEDED' });
+
+  await assert.rejects(scheduler.schedule(async () => { throw budgetError; }), /budget/);
+  assert.equal(scheduler.stats.budgetSkipped, 1);
+  assert.equal(scheduler.stats.failed, 0);
+  assert.equal(scheduler.stats.retries, 0);
+});
+
+test('does not retry client errors', async () => {
+  const scheduler = createScheduler({ sleep: async () => {} });
+  let attempts = 0;
+  await assert.rejects(scheduler.schedule(async () => {
+    attempts++;
+    throw httpError(400);
+  }));
+  assert.equal(attempts, 1);
+});
+
+test('waits for retry-after, capped at maxDelayMs', async () => {
+  const clock = createFakeClock();
+  const delays = [];
+  const scheduler = createScheduler({
+    maxDelayMs: 30000,
+    ...clock,
+    sleep: async (ms) => {
+      delays.push(ms);
+      clock.advance(ms);
+    }
+  });
+
+  for (const retryAfter of ['2', '86400']) {
+    let attempts = 0;
+    await scheduler.schedule(async () => {
+      if (attempts++ === 0) throw httpError(429, { 'retry-after': retryAfter });
+      return 'ok';
+    });
+  }
+  assert.deepEqual(delays, [2000, 30000]);
+  assert.equal(scheduler.stats.rateLimited, 2);
+});
+
+test('reads retry-after-ms, seconds and HTTP dates', () => {
+  assert.equal(getRetryAfterMs(httpError(429, { 'retry-after-ms': '250' })), 250);
+  assert.equal(getRetryAfterMs(httpError(429, { 'retry-after': '3' })), 3000);
+  assert.equal(getRetryAfterMs(httpError(429, { 'retry-after': new Date(10000).toUTCString() }), 4000), 6000);
+  assert.equal(getRetryAfterMs(httpError(429)), null);
+});
+
+test('retries a rate-limited request against a local stub server', async (t) => {
+  let hits = 0;
+  const server = http.createServer((request, response) => {
+    hits++;
+    request.resume();
+    if (hits === 1) {
+      response.writeHead(429, { 'content-type': 'application/json', 'retry-after': '0' });
+      response.end(JSON.stringify({ error: { message: 'Rate limit reached', type: 'rate_limit' } }));
+      return;
+    }
+    response.writeHead(200, { 'content-type': 'application/json' });
+    response.end(JSON.stringify({
+      id: 'chatcmpl-1',
+      object: 'chat.completion',
+      created: 0,
+      model: 'stub',
+      choices: [{ index: 0, message: { role: 'assistant', content: '{"docstring":"/** Stub */"}' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 5, completion_tokens: 3, total_tokens: 8 }
+    }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const provider = createOpenAIProvider({
+    apiKey: 'test',
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+    model: 'stub'
+  });
+  const scheduler = createScheduler({ maxRetries: 2 });
+  const response = await scheduleProvider(provider, scheduler).complete({ system: 'system', prompt: 'prompt' });
+
+  assert.equal(response.content, '{"docstring":"/** Stub */"}');
+  assert.deepEqual(response.usage, { promptTokens: 5, completionTokens: 3 });
+  assert.equal(hits, 2);
+  assert.equal(scheduler.stats.rateLimited, 1);
+});
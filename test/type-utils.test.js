@@ -0,0 +1,29 @@
+// test/type-utils.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { splitUnion, isLiteral } from '../src/utils/type-utils.js';
+
+test('splits a union on its top-level bars only', () => {
+  assert.deepEqual(splitUnion("'sm' | 'md' | 'lg'"), ["'sm'", "'md'", "'lg'"]);
+  assert.deepEqual(splitUnion('Array<string | number> | null'), ['Array<string | number>', 'null']);
+  assert.deepEqual(splitUnion('{ a: string | number }'), ['{ a: string | number }']);
+  assert.deepEqual(splitUnion('string'), ['string']);
+});
+
+test('splits unions with arrow function members', () => {
+  assert.deepEqual(splitUnion('(() => void) | null'), ['(() => void)', 'null']);
+  assert.deepEqual(splitUnion('((value: string) => boolean) | undefined'), ['((value: string) => boolean)', 'undefined']);
+  assert.deepEqual(splitUnion('Array<() => void> | string'), ['Array<() => void>', 'string']);
+  assert.deepEqual(splitUnion('(a: number) => string | number'), ['(a: number) => string', 'number']);
+});
+
+test('tells literals from computed values', () => {
+  for (const value of ["'a'", '"b"', '`c`', '42', '-1.5', 'true', 'null', 'undefined']) {
+    assert.equal(isLiteral(value), true, value);
+  }
+  for (const value of ['`x${size}`', 'size', 'getDefault()', '[]', '{}']) {
+    assert.equal(isLiteral(value), false, value);
+  }
+});